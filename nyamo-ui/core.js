@@ -11,11 +11,29 @@
  * @property {boolean} [a11yChecks]
  * @property {boolean} [enablePlugins]
  * @property {boolean} [performanceMonitoring]
+ * @property {boolean} [animations]        // ← false で退出アニメーションを待たない
+ * @property {boolean} [tooltips]          // ← data-ny-tooltip の委譲リスナーを張るか
+ * @property {'auto'|'native'|'overlay'} [renderer]  // ← dialog / sheet の描画方式（init 時に決定）
  * @property {{ closeKey?: string }} [shortcuts]
- * @property {number}  [maxToasts]         // ← ToastManager 用
+ * @property {number}  [maxToasts]         // ← ToastManager 用（region ごとの同時表示数）
+ * @property {string}  [toastPosition]     // ← DEFAULTS.TOAST.POSITIONS のどれか
+ * @property {boolean} [toastProgress]     // ← 残り時間のプログレスバーを出すか（toast ごとに上書き可）
+ * @property {ToastRateLimit | false} [toastRateLimit]  // ← type ごとの流量制限（デフォルト false = 無効）
+ * @property {number}  [notificationLimit] // ← NotificationCenter に残す toast の件数
+ * @property {boolean | { distance?: number; velocity?: number }} [gestures]  // ← toast のスワイプ / sheet のドラッグ
+ * @property {number}  [loaderDelay]       // ← loader.track: これより早く終わる処理では出さない (ms)
+ * @property {number}  [loaderMinDuration] // ← loader.track: 一度出したら最低これだけ出しておく (ms)
  * @property {Object}  [sanitize]          // ← HTMLSanitizer 用
  */
 
+/**
+ * window ミリ秒あたり max 件まで。超えた分は捨てる（type ごとに数える）
+ * @typedef {Object} ToastRateLimit
+ * @property {number} max
+ * @property {number} window
+ * @property {Record<string, { max?: number; window?: number }>} [types]  // type 別の上書き
+ */
+
 /**
  * @typedef {Object} FeatureSupport
  * @property {boolean} cancelIdleCallback
@@ -23,6 +41,8 @@
  * @property {boolean} resizeObserver
  * @property {boolean} animations
  * @property {boolean} dialogElement
+ * @property {boolean} inert
+ * @property {boolean} mutationObserver
  */
 
 // ================================
@@ -35,8 +55,14 @@
  *   VERSION: string;
  *   CONFIG: KernelConfig;
  *   EVENTS: Record<string, string>;
- *   TOAST: { DURATION: number; MAX_VISIBLE: number; TYPES: string[] };
+ *   TOAST: { DURATION: number; MAX_VISIBLE: number; TYPES: string[]; POSITIONS: string[]; DEFAULT_POSITION: string; GAP: number };
  *   SHEET: { DEFAULT_DIRECTION: string; DIRECTIONS: string[] };
+ *   LAYER: { BASE_Z_INDEX: number; Z_INDEX_STEP: number };
+ *   QUEUE: { PRIORITIES: Record<string, number>; DEFAULT_PRIORITY: string };
+ *   POPOVER: { DEFAULT_PLACEMENT: string; PLACEMENTS: string[]; OFFSET: number; VIEWPORT_PADDING: number };
+ *   TOOLTIP: { ATTRIBUTE: string; PLACEMENT_ATTRIBUTE: string; DEFAULT_PLACEMENT: string; SHOW_DELAY: number; HIDE_DELAY: number; LONG_PRESS: number; TOUCH_HIDE_DELAY: number };
+ *   MENU: { DEFAULT_PLACEMENT: string; SUBMENU_PLACEMENT: string; TYPEAHEAD_TIMEOUT: number };
+ *   GESTURE: { DISTANCE: number; VELOCITY: number; SLOP: number; RUBBER_BAND: number };
  * }}
  */
 export const DEFAULTS = {
@@ -48,7 +74,17 @@ export const DEFAULTS = {
     a11yChecks: true,
     enablePlugins: true,
     performanceMonitoring: false,
+    animations: true,
+    tooltips: true,
+    renderer: 'auto', // native <dialog> が使えればそちら、無ければ .ny-overlay
     maxToasts: 2, // ← P0 テストで期待される maxToasts デフォルト
+    toastPosition: 'bottom-center',
+    toastProgress: false,
+    toastRateLimit: false, // 超えた分は黙って捨てるので opt-in
+    notificationLimit: 50,
+    gestures: true, // { distance, velocity } で閾値だけ変えられる
+    loaderDelay: 200,
+    loaderMinDuration: 500,
     shortcuts: {
       closeKey: 'Escape',
     },
@@ -56,17 +92,31 @@ export const DEFAULTS = {
   EVENTS: {
     STATE_CHANGE: 'state:change',
 
+    DIALOG_BEFORE_OPEN: 'dialog:beforeopen',
     DIALOG_OPEN: 'dialog:open',
+    DIALOG_BEFORE_CLOSE: 'dialog:beforeclose',
     DIALOG_CLOSE: 'dialog:close',
 
+    SHEET_BEFORE_OPEN: 'sheet:beforeopen',
     SHEET_OPEN: 'sheet:open',
+    SHEET_BEFORE_CLOSE: 'sheet:beforeclose',
     SHEET_CLOSE: 'sheet:close',
+    SHEET_SNAP: 'sheet:snap',
 
     TOAST_SHOW: 'toast:show',
     TOAST_HIDE: 'toast:hide',
 
+    NOTIFICATIONS_CHANGE: 'notifications:change',
+
+    POPOVER_OPEN: 'popover:open',
+    POPOVER_CLOSE: 'popover:close',
+
+    TOOLTIP_SHOW: 'tooltip:show',
+    TOOLTIP_HIDE: 'tooltip:hide',
+
     LOADER_SHOW: 'loader:show',
     LOADER_HIDE: 'loader:hide',
+    LOADER_CANCEL: 'loader:cancel',
 
     CONFIRM_RESOLVE: 'confirm:resolve',
   },
@@ -74,11 +124,57 @@ export const DEFAULTS = {
     DURATION: 3000,
     MAX_VISIBLE: 2,
     TYPES: ['info', 'success', 'error', 'warning'],
+    POSITIONS: [
+      'top-left', 'top-center', 'top-right',
+      'bottom-left', 'bottom-center', 'bottom-right',
+    ],
+    DEFAULT_POSITION: 'bottom-center',
+    GAP: 8, // 同じ region 内で積む toast の間隔 (px)
   },
   SHEET: {
     DEFAULT_DIRECTION: 'right',
     DIRECTIONS: ['right', 'left', 'bottom'],
   },
+  LAYER: {
+    BASE_Z_INDEX: 2001, // ← CSS の --ny-z-layer と揃える
+    Z_INDEX_STEP: 10,
+  },
+  QUEUE: {
+    // 開いているレイヤーより高い priority だけが割り込める
+    PRIORITIES: { low: 0, normal: 1, high: 2, critical: 3 },
+    DEFAULT_PRIORITY: 'normal',
+  },
+  POPOVER: {
+    DEFAULT_PLACEMENT: 'bottom',
+    PLACEMENTS: [
+      'top', 'top-start', 'top-end',
+      'bottom', 'bottom-start', 'bottom-end',
+      'left', 'left-start', 'left-end',
+      'right', 'right-start', 'right-end',
+    ],
+    OFFSET: 8, // anchor との距離 (px)
+    VIEWPORT_PADDING: 8, // shift 時に viewport 端から空ける距離 (px)
+  },
+  TOOLTIP: {
+    ATTRIBUTE: 'data-ny-tooltip',
+    PLACEMENT_ATTRIBUTE: 'data-ny-tooltip-placement',
+    DEFAULT_PLACEMENT: 'top',
+    SHOW_DELAY: 400,
+    HIDE_DELAY: 100,
+    LONG_PRESS: 500,
+    TOUCH_HIDE_DELAY: 1500,
+  },
+  MENU: {
+    DEFAULT_PLACEMENT: 'bottom-start',
+    SUBMENU_PLACEMENT: 'right-start', // RTL では left-start
+    TYPEAHEAD_TIMEOUT: 500, // この間に打った文字をつなげて検索する (ms)
+  },
+  GESTURE: {
+    DISTANCE: 0.35, // 1 以下は要素サイズに対する割合、それより大きければ px
+    VELOCITY: 0.5, // px/ms。距離が足りなくてもこれより速く払えば閉じる
+    SLOP: 8, // これ未満の移動はタップ扱い (px)
+    RUBBER_BAND: 48, // 閉じない向きに引いたときの最大移動量 (px)
+  },
 };
 
 // ================================
@@ -93,28 +189,96 @@ export const CLASSNAMES = {
   ROOT: 'ny-root',
 
   OVERLAY: 'ny-overlay',
+  LAYER_HOST: 'ny-layer-host', // native renderer で各レイヤーを包む <dialog>
 
   DIALOG: 'ny-dialog',
+  DIALOG_HEADER: 'ny-dialog-header',
   DIALOG_BODY: 'ny-dialog-body',
   DIALOG_TITLE: 'ny-dialog-title',
+  DIALOG_FOOTER: 'ny-dialog-footer',
   CLOSE_BTN: 'ny-close-btn',
 
+  PROMPT: 'ny-prompt',
+  PROMPT_FIELD: 'ny-prompt-field',
+  PROMPT_LABEL: 'ny-prompt-label',
+  PROMPT_INPUT: 'ny-prompt-input',
+  PROMPT_ERROR: 'ny-prompt-error',
+  PENDING: 'ny-pending', // 非同期 validate の確定待ち
+
+  FORM: 'ny-form',
+  FORM_BODY: 'ny-form-body',
+  FORM_FIELD: 'ny-form-field', // + ny-form-field-{type}
+  FORM_GROUP: 'ny-form-group', // radio の fieldset
+  FORM_OPTION: 'ny-form-option',
+  FORM_LABEL: 'ny-form-label',
+  FORM_CONTROL: 'ny-form-control',
+  FORM_HINT: 'ny-form-hint',
+  FORM_ERROR: 'ny-form-error',
+  FORM_REQUIRED: 'ny-form-required',
+  FORM_MESSAGE: 'ny-form-message', // フォーム全体のエラー
+
+  WIZARD: 'ny-wizard',
+  WIZARD_STEPS: 'ny-wizard-steps', // ステップ表示（ol）
+  WIZARD_INDICATOR: 'ny-wizard-indicator',
+  WIZARD_DONE: 'ny-done',
+  WIZARD_STAGE: 'ny-wizard-stage',
+  WIZARD_PANEL: 'ny-wizard-panel',
+  WIZARD_HEADING: 'ny-wizard-heading',
+  WIZARD_CONTENT: 'ny-wizard-step-body',
+  WIZARD_ERROR: 'ny-wizard-error',
+
   SHEET: 'ny-sheet',
   SHEET_FROM_LEFT: 'ny-from-left',
   SHEET_FROM_RIGHT: 'ny-from-right',
   SHEET_FROM_BOTTOM: 'ny-from-bottom',
+  SHEET_SNAP: 'ny-sheet-snap', // snapPoints 付きの bottom sheet
+  SHEET_HANDLE: 'ny-sheet-handle',
+  SHEET_CONTENT: 'ny-sheet-content',
 
   TOAST_CONTAINER: 'ny-toast-container',
   TOAST: 'ny-toast',
+  TOAST_MESSAGE: 'ny-toast-message',
+  TOAST_ACTIONS: 'ny-toast-actions',
+  TOAST_ACTION: 'ny-toast-action',
+  TOAST_PROGRESS: 'ny-toast-progress',
+  TOAST_COUNT: 'ny-toast-count',
+  TOAST_INFO: 'ny-toast-info',
   TOAST_SUCCESS: 'ny-toast-success',
   TOAST_ERROR: 'ny-toast-error',
+  TOAST_WARNING: 'ny-toast-warning',
+
+  NOTIFICATIONS: 'ny-notifications',
+  NOTIFICATIONS_HEADER: 'ny-notifications-header',
+  NOTIFICATIONS_LIST: 'ny-notifications-list',
+  NOTIFICATIONS_EMPTY: 'ny-notifications-empty',
+  NOTIFICATION: 'ny-notification',
+  UNREAD: 'ny-unread',
+
+  POPOVER: 'ny-popover',
+  TOOLTIP: 'ny-tooltip',
+
+  MENU: 'ny-menu',
+  MENU_ITEM: 'ny-menu-item',
+  MENU_SEPARATOR: 'ny-menu-separator',
 
   LOADER: 'ny-loader',
+  LOADER_SLOT: 'ny-loader-slot', // loader(true) / loader.track 専用の枠（レイヤースタックの外）
+  LOADER_TEXT: 'ny-loader-text',
+  LOADER_CANCEL: 'ny-loader-cancel',
   SPINNER: 'ny-spinner',
+  PROGRESS: 'ny-progress',
+  PROGRESS_BAR: 'ny-progress-bar',
+  BUSY: 'ny-busy', // busy(element) 中の要素
+  BUSY_OVERLAY: 'ny-busy-overlay',
 
   // v3.3 以降で使う追加系（ui.js 互換のため）
   VISIBLE: 'ny-visible',
   NO_SCROLL: 'ny-no-scroll',
+  CLOSING: 'ny-closing',
+  NO_MOTION: 'ny-no-motion',
+  PAUSED: 'ny-paused',
+  DRAGGING: 'ny-dragging',
+  EXPANDED: 'ny-expanded',
 };
 
 // ================================
@@ -332,7 +496,12 @@ export class FeatureDetector {
         typeof document !== 'undefined' &&
         typeof document.createElement === 'function' &&
         'animate' in document.createElement('div'),
-      dialogElement: typeof HTMLDialogElement !== 'undefined',
+      // jsdom 等は HTMLDialogElement だけあって showModal() が無い
+      dialogElement:
+        typeof HTMLDialogElement !== 'undefined' &&
+        typeof HTMLDialogElement.prototype.showModal === 'function',
+      inert: typeof HTMLElement !== 'undefined' && 'inert' in HTMLElement.prototype,
+      mutationObserver: typeof MutationObserver !== 'undefined',
     };
   }
 
@@ -410,6 +579,84 @@ export class CircularBuffer {
   }
 }
 
+// ================================
+// PausableTimer
+// ================================
+
+/**
+ * 一時停止できる setTimeout
+ * - pause(reason) は理由ごとに数え、全部 resume されるまで止まったまま
+ *   （hover 中にタブを切り替えて戻っても、hover が外れるまで動かない）
+ */
+export class PausableTimer {
+  /**
+   * @param {() => void} callback
+   * @param {number} duration - ms
+   */
+  constructor(callback, duration) {
+    this.callback = callback;
+    this.duration = duration;
+    this.remaining = duration;
+    this.startedAt = 0;
+    this.timer = 0;
+    this.done = false;
+    /** @type {Set<string>} */
+    this.reasons = new Set();
+  }
+
+  start() {
+    if (this.done || this.startedAt || this.reasons.size > 0) return this;
+    this.startedAt = Date.now();
+    this.timer = /** @type {any} */ (
+      setTimeout(() => {
+        this.done = true;
+        this.startedAt = 0;
+        this.remaining = 0;
+        this.callback();
+      }, Math.max(0, this.remaining))
+    );
+    return this;
+  }
+
+  /**
+   * @param {string} [reason='manual']
+   */
+  pause(reason = 'manual') {
+    this.reasons.add(reason);
+    if (!this.startedAt) return this;
+    clearTimeout(this.timer);
+    this.remaining -= Date.now() - this.startedAt;
+    this.startedAt = 0;
+    return this;
+  }
+
+  /**
+   * @param {string} [reason='manual']
+   */
+  resume(reason = 'manual') {
+    this.reasons.delete(reason);
+    return this.start();
+  }
+
+  isPaused() {
+    return !this.done && !this.startedAt;
+  }
+
+  /**
+   * @returns {number} ms
+   */
+  getRemaining() {
+    if (!this.startedAt) return Math.max(0, this.remaining);
+    return Math.max(0, this.remaining - (Date.now() - this.startedAt));
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+    this.done = true;
+    this.startedAt = 0;
+  }
+}
+
 // ================================
 // Focusable selectors
 // ================================
@@ -459,6 +706,82 @@ export const Utils = {
     });
   },
 
+  /**
+   * OS の「視差効果を減らす」設定
+   * @returns {boolean}
+   */
+  prefersReducedMotion() {
+    if (typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+      return false;
+    }
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  },
+
+  /**
+   * config.animations と prefers-reduced-motion の両方を見てアニメーション可否を返す
+   * @param {{ animations?: boolean }} [config]
+   * @returns {boolean}
+   */
+  motionEnabled(config) {
+    return config?.animations !== false && !Utils.prefersReducedMotion();
+  },
+
+  /**
+   * computed style から animation / transition の最長時間 (ms) を求める
+   * CSS が当たっていなければ 0
+   * @param {HTMLElement} element
+   * @returns {number}
+   */
+  getAnimationDuration(element) {
+    if (!element || typeof getComputedStyle !== 'function') return 0;
+
+    const style = getComputedStyle(element);
+    const toMs = (value) =>
+      String(value || '')
+        .split(',')
+        .map((v) => {
+          const n = parseFloat(v);
+          if (!Number.isFinite(n)) return 0;
+          return /ms\s*$/.test(v) ? n : n * 1000;
+        });
+    const longest = (durations, delays) =>
+      Math.max(0, ...durations.map((d, i) => d + (delays[i % delays.length] || 0)));
+
+    const animation =
+      style.animationName && style.animationName !== 'none'
+        ? longest(toMs(style.animationDuration), toMs(style.animationDelay))
+        : 0;
+    const transition = longest(
+      toMs(style.transitionDuration),
+      toMs(style.transitionDelay),
+    );
+
+    return Math.max(animation, transition);
+  },
+
+  /**
+   * animationend / transitionend を待つ。イベントが来なくても timeout で必ず resolve
+   * @param {HTMLElement} element
+   * @param {number} duration - getAnimationDuration() の結果
+   * @returns {Promise<void>}
+   */
+  waitForAnimation(element, duration) {
+    return new Promise((resolve) => {
+      let timer = 0;
+      const done = (e) => {
+        // 子要素のアニメーション終了は無視
+        if (e && e.target !== element) return;
+        clearTimeout(timer);
+        element.removeEventListener('animationend', done);
+        element.removeEventListener('transitionend', done);
+        resolve();
+      };
+      element.addEventListener('animationend', done);
+      element.addEventListener('transitionend', done);
+      timer = setTimeout(done, duration + 50);
+    });
+  },
+
   /**
    * requestIdleCallback ラッパ（なければ setTimeout）
    * @param {IdleRequestCallback} cb
@@ -499,6 +822,30 @@ export const Utils = {
     );
   },
 
+  /**
+   * iOS / iPadOS（body の overflow: hidden だけでは背景スクロールが止まらない）
+   * @returns {boolean}
+   */
+  isIOS() {
+    if (typeof navigator === 'undefined') return false;
+    // iPadOS 13+ は MacIntel を名乗るのでタッチ点数で見分ける
+    return (
+      /iP(hone|ad|od)/.test(navigator.platform) ||
+      (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1)
+    );
+  },
+
+  /**
+   * popover / tooltip など floating 要素の append 先
+   * native renderer のモーダル中は body 直下だと top layer の下（しかも inert）になるので、
+   * 最上位のレイヤー <dialog> の中へ入れる
+   * @returns {HTMLElement}
+   */
+  getFloatingRoot() {
+    const hosts = document.querySelectorAll(`dialog.${CLASSNAMES.LAYER_HOST}[open]`);
+    return /** @type {HTMLElement} */ (hosts[hosts.length - 1]) || document.body;
+  },
+
   /**
    * DOM 構築ヘルパ
    * @param {string} tag
@@ -623,6 +970,15 @@ export const Utils = {
     return allowed.includes(value) ? value : fallback;
   },
 
+  /**
+   * Promise / thenable 判定
+   * @param {any} value
+   * @returns {value is PromiseLike<any>}
+   */
+  isThenable(value) {
+    return !!value && typeof value.then === 'function';
+  },
+
   /**
    * 安全に callback を実行するヘルパ
    * @param {Function | undefined | null} fn
@@ -5,6 +5,7 @@
 
 import {
   DEFAULTS,
+  CLASSNAMES,
   Utils,
   EventEmitter,
   Logger,
@@ -32,11 +33,25 @@ import {
 import {
   OverlayManager,
   LayerManager,
+  InertManager,
+  ScrollLockManager,
   DialogBuilder,
   SheetBuilder,
   ToastManager,
+  NotificationCenter,
+  NotificationsBuilder,
   LoaderBuilder,
+  LoaderHandle,
+  LoaderManager,
+  BusyManager,
   ConfirmBuilder,
+  FormBuilder,
+  WizardBuilder,
+  PopoverBuilder,
+  PopoverManager,
+  TooltipManager,
+  MenuBuilder,
+  MenuManager,
 } from './ui.js';
 
 
@@ -122,23 +137,46 @@ export class NyamoUIKernel extends KernelEventEmitter {
     // safeMode 反映
     this.errorBoundary.setSafeMode(this.config.safeMode);
 
+    // toast の履歴は init / destroy をまたいで残す（ErrorBoundary.errors と同じ扱い）
+    this.notificationCenter = new NotificationCenter(this.config.notificationLimit);
+
     // -----------------------------------
     // UI Systems（遅延初期化）
     // -----------------------------------
     this.overlayManager = null;
+    this.scrollLockManager = null;
     this.layerManager = null;
+    this.popoverManager = null;
+    this.tooltipManager = null;
+    this.menuManager = null;
     this.toastManager = null;
+    this.loaderManager = null;
+    this.busyManager = null;
 
     this.dialogBuilder = null;
     this.sheetBuilder = null;
     this.loaderBuilder = null;
     this.confirmBuilder = null;
+    this.formBuilder = null;
+    this.wizardBuilder = null;
+    this.popoverBuilder = null;
+    this.menuBuilder = null;
+    this.notificationsBuilder = null;
 
     this.boundHandlers = {
       overlayClick: this._handleOverlayClick.bind(this),
       keyDown: this._handleKeyDown.bind(this),
     };
 
+    // NyamoUI.toast.promise(...) で呼べるようにぶら下げる
+    this.toast = Object.assign(this.toast.bind(this), {
+      promise: this._toastPromise.bind(this),
+    });
+    // NyamoUI.loader.track(...) も同じ
+    this.loader = Object.assign(this.loader.bind(this), {
+      track: this._trackLoader.bind(this),
+    });
+
     this.initialized = false;
     this._pendingConfirms = new Map();
 
@@ -148,6 +186,9 @@ export class NyamoUIKernel extends KernelEventEmitter {
     this.stateManager.on(DEFAULTS.EVENTS.STATE_CHANGE, (st) =>
       this.emit(DEFAULTS.EVENTS.STATE_CHANGE, st)
     );
+    this.notificationCenter.on(DEFAULTS.EVENTS.NOTIFICATIONS_CHANGE, (d) =>
+      this.emit(DEFAULTS.EVENTS.NOTIFICATIONS_CHANGE, d)
+    );
   }
 
 
@@ -188,7 +229,11 @@ export class NyamoUIKernel extends KernelEventEmitter {
       );
       this.overlayManager.create();
 
-      // Layers
+      // Scroll lock（レイヤー以外からも lock() できるように kernel が持つ）
+      this.scrollLockManager = new ScrollLockManager(this.eventManager);
+
+      // Layers（native では showModal() が背景を inert にするので InertManager は不要）
+      const renderer = this._resolveRenderer();
       this.layerManager = new LayerManager(
         this.overlayManager,
         this.logger,
@@ -196,18 +241,43 @@ export class NyamoUIKernel extends KernelEventEmitter {
         this.eventManager,
         this.stateManager,
         this.focusableCache,
+        renderer,
+        renderer === 'overlay' ? new InertManager(this.featureDetector) : null,
+        this.scrollLockManager,
       );
 
+      // Popovers（非モーダル）
+      this.popoverManager = new PopoverManager(
+        this.config,
+        this.logger,
+        this.eventManager,
+        this.featureDetector,
+      );
+
+      // Tooltips（PopoverManager と同じ PositionEngine を使う）
+      this.tooltipManager = new TooltipManager(
+        this.config,
+        this.eventManager,
+        this.popoverManager.positionEngine,
+      );
+      if (this.config.tooltips) this.tooltipManager.init();
+
       // Toasts
       this.toastManager = new ToastManager(
         this.logger,
         this.config,
         this.intersectionManager,
         this.stateManager,
+        this.eventManager,
+        this.notificationCenter,
       );
 
       // Builders
-      const closeCallback = () => this.close();
+      // element を渡されたらそのレイヤーだけ、なければ最上位を閉じる
+      const closeCallback = (el, result, reason) => {
+        if (el) this.layerManager.closeLayer(el, result, reason);
+        else this.close();
+      };
 
       // ★ sanitizer を Builder 群に渡す
       this.dialogBuilder = new DialogBuilder(
@@ -223,6 +293,30 @@ export class NyamoUIKernel extends KernelEventEmitter {
         this.featureDetector,
         this.htmlSanitizer,
       );
+      this.formBuilder = new FormBuilder(this.dialogBuilder, closeCallback);
+      this.wizardBuilder = new WizardBuilder(this.dialogBuilder, closeCallback);
+      this.popoverBuilder = new PopoverBuilder(this.htmlSanitizer);
+      this.menuBuilder = new MenuBuilder();
+      this.notificationsBuilder = new NotificationsBuilder(this.notificationCenter);
+
+      // 全画面 loader（レイヤースタックの外の専用枠）
+      this.loaderManager = new LoaderManager(
+        this.config,
+        this.loaderBuilder,
+        this.scrollLockManager,
+      );
+      // 要素単位の loader（全画面の枠には触らない）
+      this.busyManager = new BusyManager(this.loaderBuilder);
+
+      // Menus（PopoverManager の上に載る。onSelect のエラーは ErrorBoundary へ）
+      this.menuManager = new MenuManager(
+        this.popoverManager,
+        this.menuBuilder,
+        (fn, ...args) => {
+          if (typeof fn !== 'function') return;
+          Utils.safeExecute(this.errorBoundary.wrap(fn), null, ...args);
+        },
+      );
 
       // Attach global listeners
       this._attachGlobalListeners();
@@ -230,9 +324,15 @@ export class NyamoUIKernel extends KernelEventEmitter {
       // Forward LayerManager events
       this._wireLayerEvents();
 
+      // Forward Popover events
+      this._wirePopoverEvents();
+
       // Forward Toast events
       this._wireToastEvents();
 
+      // Forward Loader events
+      this._wireLoaderEvents();
+
       this.initialized = true;
       this.performanceMonitor.measure('init');
 
@@ -257,9 +357,13 @@ export class NyamoUIKernel extends KernelEventEmitter {
     }
 
     const map = DEFAULTS.EVENTS;
+    this.layerManager.on(map.DIALOG_BEFORE_OPEN, (d) => this.emit(map.DIALOG_BEFORE_OPEN, d));
     this.layerManager.on(map.DIALOG_OPEN, (d) => this.emit(map.DIALOG_OPEN, d));
+    this.layerManager.on(map.DIALOG_BEFORE_CLOSE, (d) => this.emit(map.DIALOG_BEFORE_CLOSE, d));
     this.layerManager.on(map.DIALOG_CLOSE, (d) => this.emit(map.DIALOG_CLOSE, d));
+    this.layerManager.on(map.SHEET_BEFORE_OPEN, (d) => this.emit(map.SHEET_BEFORE_OPEN, d));
     this.layerManager.on(map.SHEET_OPEN, (d) => this.emit(map.SHEET_OPEN, d));
+    this.layerManager.on(map.SHEET_BEFORE_CLOSE, (d) => this.emit(map.SHEET_BEFORE_CLOSE, d));
     this.layerManager.on(map.SHEET_CLOSE, (d) => this.emit(map.SHEET_CLOSE, d));
 
     if (map.CONFIRM_RESOLVE) {
@@ -269,6 +373,14 @@ export class NyamoUIKernel extends KernelEventEmitter {
     }
   }
 
+  _wirePopoverEvents() {
+    const map = DEFAULTS.EVENTS;
+    this.popoverManager.on(map.POPOVER_OPEN, (d) => this.emit(map.POPOVER_OPEN, d));
+    this.popoverManager.on(map.POPOVER_CLOSE, (d) => this.emit(map.POPOVER_CLOSE, d));
+    this.tooltipManager.on(map.TOOLTIP_SHOW, (d) => this.emit(map.TOOLTIP_SHOW, d));
+    this.tooltipManager.on(map.TOOLTIP_HIDE, (d) => this.emit(map.TOOLTIP_HIDE, d));
+  }
+
   _wireToastEvents() {
     if (!this.toastManager?.on) {
       this.logger.warn('ToastManager has no .on(); skip toast event bridge');
@@ -280,6 +392,13 @@ export class NyamoUIKernel extends KernelEventEmitter {
   }
 
 
+  _wireLoaderEvents() {
+    const map = DEFAULTS.EVENTS;
+    this.loaderManager.on(map.LOADER_SHOW, (d) => this.emit(map.LOADER_SHOW, d));
+    this.loaderManager.on(map.LOADER_HIDE, (d) => this.emit(map.LOADER_HIDE, d));
+  }
+
+
   // ================================
   // DOM listeners
   // ================================
@@ -305,16 +424,44 @@ export class NyamoUIKernel extends KernelEventEmitter {
   // ================================
   _handleOverlayClick(e) {
     if (!this.overlayManager) return;
-    if (e.target === this.overlayManager.getElement()) {
-      this.close();
+    // native renderer ではレイヤーを包む <dialog> 自身が backdrop を兼ねる
+    const target = /** @type {Element} */ (e.target);
+    if (
+      target === this.overlayManager.getElement() ||
+      target?.classList?.contains(CLASSNAMES.LAYER_HOST)
+    ) {
+      this.layerManager?.close(undefined, 'overlay');
+    }
+  }
+
+  /**
+   * config.renderer を実際の描画方式へ解決する（init 時に 1 回だけ）
+   * @returns {'native'|'overlay'}
+   * @private
+   */
+  _resolveRenderer() {
+    const requested = this.config.renderer || 'auto';
+    const supported = this.featureDetector.isSupported('dialogElement');
+
+    if (requested === 'overlay') return 'overlay';
+    if (requested === 'native' && !supported) {
+      this.logger.warn('renderer "native" is not supported; falling back to overlay');
     }
+    return supported ? 'native' : 'overlay';
   }
 
   _handleKeyDown(e) {
+    // popover が先に処理済み
+    if (e.defaultPrevented) return;
     const closeKey = this.config?.shortcuts?.closeKey ?? 'Escape';
+    // loader の枠が出ている間は下のレイヤーを閉じない（キャンセル可の進捗 loader はキャンセル）
+    if (e.key === closeKey && this.loaderManager?.handleCloseKey()) {
+      e.preventDefault();
+      return;
+    }
     if (e.key === closeKey && this.layerManager?.hasActiveLayer()) {
       e.preventDefault();
-      this.close();
+      this.layerManager.close(undefined, 'escape');
     }
   }
 
@@ -324,15 +471,15 @@ export class NyamoUIKernel extends KernelEventEmitter {
   // ================================
   setConfig(newConfig = {}) {
     const prevClose = this.config.closeOnEscape;
+    const prevTooltips = this.config.tooltips;
 
-    this.config = {
-      ...this.config,
-      ...newConfig,
+    // 各 Manager が同じ config を参照しているので差し替えずに in-place で更新する
+    Object.assign(this.config, newConfig, {
       shortcuts: {
         ...(this.config.shortcuts || {}),
         ...(newConfig.shortcuts || {}),
       },
-    };
+    });
 
     this.logger.setDebug(this.config.debug);
     this.errorBoundary.setSafeMode(this.config.safeMode);
@@ -342,6 +489,10 @@ export class NyamoUIKernel extends KernelEventEmitter {
       if (this.config.closeOnEscape) this._attachGlobalListeners();
       else this._detachGlobalListeners();
     }
+    if (this.initialized && prevTooltips !== this.config.tooltips) {
+      if (this.config.tooltips) this.tooltipManager.init();
+      else this.tooltipManager.destroy();
+    }
     return this;
   }
 
@@ -356,6 +507,11 @@ export class NyamoUIKernel extends KernelEventEmitter {
   // ================================
   // Public API: Dialog
   // ================================
+
+  /**
+   * @param {Object} [options={}]
+   * @returns {import('./ui.js').LayerHandle | undefined}
+   */
   dialog(options = {}) {
     return this.errorBoundary.wrap(() => {
       this.init();
@@ -365,15 +521,20 @@ export class NyamoUIKernel extends KernelEventEmitter {
 
       if (this.config.a11yChecks) this.a11yChecker.check(el);
 
-      this.layerManager.open(el, {
+      const handle = this.layerManager.open(el, {
         type: 'dialog',
         onOpen: options.onOpen,
         onClose: options.onClose,
+        onBeforeOpen: options.onBeforeOpen,
+        onBeforeClose: options.onBeforeClose,
+        priority: options.priority,
+        stack: options.stack,
+        update: (dialogEl, opts) => this.dialogBuilder.update(dialogEl, opts),
         data: options.data || {},
       });
 
       this.performanceMonitor.measure('dialog');
-      return this;
+      return handle;
     })();
   }
 
@@ -381,6 +542,11 @@ export class NyamoUIKernel extends KernelEventEmitter {
   // ================================
   // Public API: Sheet
   // ================================
+
+  /**
+   * @param {Object} [options={}]  // from: 'bottom' なら snapPoints / initialSnap / onSnap も使える
+   * @returns {import('./ui.js').LayerHandle | undefined}
+   */
   sheet(options = {}) {
     return this.errorBoundary.wrap(() => {
       this.init();
@@ -390,15 +556,128 @@ export class NyamoUIKernel extends KernelEventEmitter {
 
       if (this.config.a11yChecks) this.a11yChecker.check(el);
 
-      this.layerManager.open(el, {
+      /** @type {import('./ui.js').LayerHandle | undefined} */
+      let handle;
+      const snap = this.sheetBuilder.bindSnap(el, options.snapPoints, {
+        initial: options.initialSnap,
+        config: this.config,
+        eventManager: this.eventManager,
+        requestClose: () => this.layerManager.closeLayer(el, undefined, 'swipe'),
+        onChange: (index, point) => {
+          Utils.safeExecute(options.onSnap, null, index, point);
+          this.emit(DEFAULTS.EVENTS.SHEET_SNAP, { id: handle?.id, index, point });
+        },
+      });
+
+      handle = this.layerManager.open(el, {
         type: 'sheet',
         onOpen: options.onOpen,
         onClose: options.onClose,
+        onBeforeOpen: options.onBeforeOpen,
+        onBeforeClose: options.onBeforeClose,
+        priority: options.priority,
+        stack: options.stack,
+        update: (sheetEl, opts) => this.sheetBuilder.update(sheetEl, opts),
+        snapTo: snap ? (index) => snap.snapTo(index) : undefined,
         data: options.data || {},
       });
 
+      // snap 付きは SheetSnapController がドラッグも受け持つ
+      if (snap) {
+        if (handle) handle.closed.then(() => snap.destroy());
+        else snap.destroy();
+      } else {
+        this._bindSheetDrag(handle);
+      }
+
       this.performanceMonitor.measure('sheet');
-      return this;
+      return handle;
+    })();
+  }
+
+
+  /**
+   * sheet のドラッグで閉じる。閉じ方は ✕ や Escape と同じく LayerManager を通す
+   * @param {import('./ui.js').LayerHandle | undefined} handle
+   */
+  _bindSheetDrag(handle) {
+    if (!handle) return;
+    const gesture = this.sheetBuilder.bindDrag(handle.element, this.config, () =>
+      this.layerManager.closeLayer(handle.element, undefined, 'swipe')
+    );
+    if (gesture) handle.closed.then(() => gesture.destroy());
+  }
+
+
+  // ================================
+  // Public API: Popover
+  // ================================
+
+  /**
+   * anchor 基準の非モーダルレイヤー
+   * @param {{
+   *   anchor: Element | { x: number; y: number };
+   *   content?: any;
+   *   allowHTML?: boolean;
+   *   placement?: string;
+   *   offset?: number;
+   *   role?: string;
+   *   label?: string;
+   *   closeOnOutsideClick?: boolean;
+   *   autoFocus?: boolean;
+   *   onOpen?: Function;
+   *   onClose?: Function;
+   *   data?: any;
+   * }} options
+   * @returns {import('./ui.js').LayerHandle | undefined}
+   */
+  popover(options) {
+    return this.errorBoundary.wrap(() => {
+      this.init();
+
+      NyamoError.assert(!!options?.anchor, 'popover() requires an anchor', {
+        code: 'POPOVER_NO_ANCHOR',
+        severity: 'warning',
+      });
+
+      const el = this.popoverBuilder.build(options);
+      return this.popoverManager.open(el, {
+        anchor: options.anchor,
+        placement: options.placement,
+        offset: options.offset,
+        closeOnOutsideClick: options.closeOnOutsideClick,
+        autoFocus: options.autoFocus,
+        onOpen: options.onOpen,
+        onClose: options.onClose,
+        update: (popoverEl, opts) => {
+          this.popoverBuilder.update(popoverEl, opts);
+          this.popoverManager.reposition(popoverEl.id);
+        },
+        data: options.data || {},
+      });
+    })();
+  }
+
+
+  // ================================
+  // Public API: Menu
+  // ================================
+
+  /**
+   * role="menu"（anchor 指定でドロップダウン、point 指定で右クリックメニュー）
+   * @param {import('./ui.js').MenuOptions} options
+   * @returns {import('./ui.js').LayerHandle | undefined}  closed は選ばれた item で resolve
+   */
+  menu(options) {
+    return this.errorBoundary.wrap(() => {
+      this.init();
+
+      NyamoError.assert(!!(options?.anchor || options?.point), 'menu() requires an anchor or point', {
+        code: 'MENU_NO_ANCHOR',
+        severity: 'warning',
+      });
+
+      return this.menuManager.open(options);
     })();
   }
 
@@ -406,6 +685,12 @@ export class NyamoUIKernel extends KernelEventEmitter {
   // ================================
   // Public API: Toast
   // ================================
+  /**
+   * @param {string} message
+   * @param {string | import('./ui.js').ToastOptions} [type='info']  // options なら { type, duration, position, actions }
+   * @param {number} [duration]
+   * @returns {import('./ui.js').ToastHandle | undefined}
+   */
   toast(message, type = 'info', duration = DEFAULTS.TOAST.DURATION) {
     return this.errorBoundary.wrap(() => {
       if (!this.toastManager) {
@@ -414,34 +699,233 @@ export class NyamoUIKernel extends KernelEventEmitter {
           this.config,
           this.intersectionManager,
           this.stateManager,
+          this.eventManager,
+          this.notificationCenter,
         );
       }
-      this.toastManager.show(message, type, duration);
-      return this;
+      return this.toastManager.show(message, type, duration);
+    })();
+  }
+
+  /**
+   * Promise の状態を 1 枚の toast で追う（loading → success / error に差し替え）
+   * - 元の Promise をそのまま返すので await / catch は呼び出し側で書ける
+   * - success / error は関数にすると結果（エラー）から文言を作れる
+   * @template T
+   * @param {Promise<T> | (() => Promise<T>)} promise
+   * @param {{ loading: string; success: string | ((value: T) => string); error: string | ((err: any) => string) }} messages
+   * @param {import('./ui.js').ToastOptions} [options={}]  // duration は確定後の表示時間
+   * @returns {Promise<T>}
+   */
+  _toastPromise(promise, messages, options = {}) {
+    // 関数が同期で throw しても error の toast に流す（loader.track と同じ）
+    /** @type {Promise<T>} */
+    let task;
+    try {
+      task = typeof promise === 'function' ? promise() : promise;
+    } catch (err) {
+      task = Promise.reject(err);
+    }
+    const handle = this.toast(messages.loading, {
+      ...options,
+      type: 'info',
+      duration: Infinity,
+      loading: true,
+    });
+
+    const settle = (type, message, payload) => {
+      if (!handle) return;
+      const text =
+        typeof message === 'function' ? Utils.safeExecute(message, null, payload) : message;
+      handle.update({
+        message: text ?? '',
+        type,
+        duration: options.duration ?? DEFAULTS.TOAST.DURATION,
+        loading: false,
+      });
+    };
+
+    Promise.resolve(task).then(
+      (value) => settle('success', messages.success, value),
+      (err) => settle('error', messages.error, err),
+    );
+    return task;
+  }
+
+
+  // ================================
+  // Public API: Notifications
+  // ================================
+  /**
+   * これまでに出た toast の一覧をシートで開く
+   * - 開いている間は履歴の変化に合わせて描き直す
+   * @param {{
+   *   title?: string;
+   *   markReadLabel?: string;
+   *   clearLabel?: string;
+   *   emptyLabel?: string;
+   *   from?: 'left'|'right'|'bottom';
+   *   priority?: string;
+   *   stack?: boolean;
+   * }} [options={}]
+   * @returns {import('./ui.js').LayerHandle | undefined}
+   */
+  notifications(options = {}) {
+    return this.errorBoundary.wrap(() => {
+      this.init();
+
+      const content = this.notificationsBuilder.build(options);
+      const el = this.sheetBuilder.build({ from: options.from ?? 'right' });
+      el.appendChild(content);
+
+      const rerender = () => this.notificationsBuilder.render(content);
+      const handle = this.layerManager.open(el, {
+        type: 'sheet',
+        priority: options.priority,
+        stack: options.stack,
+      });
+      if (!handle) return undefined;
+      this._bindSheetDrag(handle);
+
+      this.notificationCenter.on(DEFAULTS.EVENTS.NOTIFICATIONS_CHANGE, rerender);
+      handle.closed.then(() =>
+        this.notificationCenter.off(DEFAULTS.EVENTS.NOTIFICATIONS_CHANGE, rerender)
+      );
+      return handle;
     })();
   }
 
+  /**
+   * @returns {import('./ui.js').NotificationEntry[]}  // 古い → 新しい
+   */
+  getNotifications() {
+    return this.notificationCenter.getAll();
+  }
+
+  /**
+   * @param {string} [id]  // 省略時は全部
+   */
+  markNotificationsRead(id) {
+    this.notificationCenter.markRead(id);
+    return this;
+  }
+
+  clearNotifications() {
+    this.notificationCenter.clear();
+    return this;
+  }
+
 
   // ================================
   // Public API: Loader
   // ================================
+  /**
+   * loader(true, text) / loader(false) で出し入れ（専用枠なので開いているレイヤーには触らない）
+   * options を渡すと進捗 / キャンセル付きで開き、LoaderHandle を返す
+   * @param {boolean | import('./ui.js').LoaderOptions & { onCancel?: (reason: any) => void }} [show=true]
+   * @param {string} [text='']
+   * @returns {this | LoaderHandle | undefined}
+   */
   loader(show = true, text = '') {
     return this.errorBoundary.wrap(() => {
       this.init();
 
-      if (show) {
-        const el = this.loaderBuilder.build(text);
-        this.layerManager.open(el, { type: 'dialog' });
-        this.emit(DEFAULTS.EVENTS.LOADER_SHOW, { text });
-      } else {
-        this.close();
-        this.emit(DEFAULTS.EVENTS.LOADER_HIDE, {});
-      }
+      if (typeof show === 'object' && show !== null) return this._openLoader(show);
+
+      if (show) this.loaderManager.show(text);
+      else this.loaderManager.hide();
 
       return this;
     })();
   }
 
+  /**
+   * 並行する処理を数え、最後の 1 つが終わったときに loader を隠す
+   * - config.loaderDelay より早く終われば出さない / 出したら config.loaderMinDuration は残す
+   * @template T
+   * @param {Promise<T> | (() => Promise<T>)} task
+   * @param {{ text?: string }} [options={}]
+   * @returns {Promise<T>}
+   */
+  _trackLoader(task, options = {}) {
+    try {
+      this.init();
+      if (!this.loaderManager) return Promise.resolve(typeof task === 'function' ? task() : task);
+      return this.loaderManager.track(task, options);
+    } catch (err) {
+      this.logger.error('Loader track failed:', err);
+      this.errorBoundary.handleError(err, { method: 'loader.track' });
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * loader(true) / loader.track の処理中か
+   * @returns {boolean}
+   */
+  isLoading() {
+    return !!this.loaderManager?.isBusy();
+  }
+
+  /**
+   * 要素の上にだけスピナーを被せ、aria-busy を付けてポインター操作を止める
+   * - 同じ要素に重ねて呼んだら、全部の release が呼ばれるまで外れない
+   * @param {HTMLElement} element
+   * @param {import('./ui.js').BusyOptions} [options={}]
+   * @returns {() => void} release（何度呼んでも 1 回分）
+   */
+  busy(element, options = {}) {
+    const release = this.errorBoundary.wrap(() => {
+      this.init();
+
+      NyamoError.assert(element instanceof HTMLElement, 'busy() requires an HTMLElement', {
+        code: 'BUSY_NO_ELEMENT',
+        severity: 'warning',
+      });
+
+      return this.busyManager.busy(element, options);
+    })();
+    return release || (() => {});
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isBusy(element) {
+    return !!this.busyManager?.isBusy(element);
+  }
+
+
+  /**
+   * @param {import('./ui.js').LoaderOptions & { onCancel?: (reason: any) => void }} options
+   * @returns {LoaderHandle | undefined}
+   */
+  _openLoader(options) {
+    const controller = new AbortController();
+    /** @type {LoaderHandle | undefined} */
+    let loader;
+
+    // dialog のスタックには積まず、LoaderManager の枠に出す（show / hide は LoaderManager から）
+    const slot = this.loaderManager.open({
+      ...options,
+      onCancel: () => loader?.cancel('cancel'),
+    });
+
+    loader = new LoaderHandle(slot, this.loaderBuilder, controller);
+    controller.signal.addEventListener(
+      'abort',
+      () => {
+        const reason = controller.signal.reason;
+        Utils.safeExecute(options.onCancel, null, reason);
+        this.emit(DEFAULTS.EVENTS.LOADER_CANCEL, { id: slot.id, reason });
+      },
+      { once: true },
+    );
+
+    return loader;
+  }
+
 
   // ================================
   // Public API: Confirm
@@ -449,28 +933,146 @@ export class NyamoUIKernel extends KernelEventEmitter {
   confirm(options = {}) {
     this.init();
     try {
-      const { element, promise, cancel, controllerId } =
-        this.confirmBuilder.build(options);
+      return this._openConfirm(this.confirmBuilder.build(options), options);
+    } catch (err) {
+      this.logger.error('Confirm failed:', err);
+      this.errorBoundary.handleError(err, { method: 'confirm' });
+      return Promise.reject(err);
+    }
+  }
 
-      this.layerManager.open(element, { type: 'dialog' });
-      this._pendingConfirms.set(controllerId, { promise, cancel });
+  /**
+   * 1 行入力の dialog（window.prompt の代わり）
+   * @param {import('./ui.js').PromptOptions & {
+   *   onBeforeOpen?: Function; onBeforeClose?: Function; priority?: number; stack?: boolean;
+   * }} [options={}]
+   * @returns {Promise<string | null>} Cancel / Escape などで閉じたら null
+   */
+  prompt(options = {}) {
+    this.init();
+    try {
+      const built = this.confirmBuilder.buildPrompt(options);
+      if (this.config.a11yChecks) this.a11yChecker.check(built.element);
+      return this._openConfirm(built, options);
+    } catch (err) {
+      this.logger.error('Prompt failed:', err);
+      this.errorBoundary.handleError(err, { method: 'prompt' });
+      return Promise.reject(err);
+    }
+  }
 
-      promise.finally(() => this._pendingConfirms.delete(controllerId));
+  /**
+   * スキーマから組み立てるフォーム dialog
+   * @param {import('./ui.js').FormOptions & {
+   *   onBeforeOpen?: Function; onBeforeClose?: Function; priority?: number; stack?: boolean;
+   * }} options
+   * @returns {Promise<Record<string, any> | null>} Cancel / Escape などで閉じたら null
+   */
+  form(options) {
+    this.init();
+    try {
+      NyamoError.assert(Array.isArray(options?.fields), 'form() requires fields', {
+        code: 'FORM_NO_FIELDS',
+        severity: 'warning',
+      });
 
-      return promise;
+      const built = this.formBuilder.build(options);
+      if (this.config.a11yChecks) this.a11yChecker.check(built.element);
+      return this._openConfirm(built, options);
     } catch (err) {
-      this.logger.error('Confirm failed:', err);
-      this.errorBoundary.handleError(err, { method: 'confirm' });
+      this.logger.error('Form failed:', err);
+      this.errorBoundary.handleError(err, { method: 'form' });
       return Promise.reject(err);
     }
   }
 
+  /**
+   * 複数ステップの dialog（Back / Next / Finish）
+   * @param {import('./ui.js').WizardOptions & {
+   *   onBeforeOpen?: Function; onBeforeClose?: Function; priority?: number; stack?: boolean;
+   * }} options
+   * @returns {Promise<Record<string, any> | null>} Finish で貯めた data。Cancel / Escape などで閉じたら null
+   */
+  wizard(options) {
+    this.init();
+    try {
+      NyamoError.assert(Array.isArray(options?.steps) && options.steps.length > 0, 'wizard() requires steps', {
+        code: 'WIZARD_NO_STEPS',
+        severity: 'warning',
+      });
+
+      const built = this.wizardBuilder.build(options);
+      if (this.config.a11yChecks) this.a11yChecker.check(built.element);
+      return this._openConfirm(built, options);
+    } catch (err) {
+      this.logger.error('Wizard failed:', err);
+      this.errorBoundary.handleError(err, { method: 'wizard' });
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * ConfirmBuilder / FormBuilder / WizardBuilder の結果をレイヤーに載せ、閉じた result で確定させる
+   * @template T
+   * @param {{
+   *   element: HTMLElement; promise: Promise<T>; cancel: Function; settle: Function; controllerId: string;
+   *   onOpen?: Function;
+   * }} built
+   * @param {{ onBeforeOpen?: Function; onBeforeClose?: Function; priority?: number; stack?: boolean }} options
+   * @returns {Promise<T>}
+   */
+  _openConfirm(built, options) {
+    const { element, promise, cancel, settle, controllerId } = built;
+
+    // confirm は「今の操作の続き」なのでデフォルトで上に積む
+    const handle = this.layerManager.open(element, {
+      type: 'dialog',
+      onBeforeOpen: options.onBeforeOpen,
+      onBeforeClose: options.onBeforeClose,
+      priority: options.priority,
+      stack: options.stack ?? true,
+      onOpen: built.onOpen,
+    });
+    handle?.closed.then(settle);
+    this._pendingConfirms.set(controllerId, { promise, cancel });
+
+    promise.finally(() => this._pendingConfirms.delete(controllerId));
+
+    return promise;
+  }
+
 
   // ================================
   // Public API: Control
   // ================================
+  /**
+   * 最上位レイヤーを閉じる
+   * @returns {Promise<boolean>} 退出アニメーション後に resolve（拒否されたら false）
+   */
   close() {
-    this.layerManager?.close();
+    if (!this.layerManager) return Promise.resolve(false);
+    return this.layerManager.close();
+  }
+
+  closeAll() {
+    this.layerManager?.closeAll();
+    return this;
+  }
+
+  // ================================
+  // Public API: Queue
+  // ================================
+
+  /**
+   * 表示待ちのレイヤー（次に開く順）
+   * @returns {{ id: string; type: string|undefined; priority: number }[]}
+   */
+  getQueue() {
+    return this.layerManager?.getQueue() || [];
+  }
+
+  clearQueue() {
+    this.layerManager?.clearQueue();
     return this;
   }
 
@@ -478,7 +1080,12 @@ export class NyamoUIKernel extends KernelEventEmitter {
     this.logger.log('Destroying kernel...');
 
     try {
-      this.close();
+      this.closeAll();
+      this.loaderManager?.reset();
+      this.busyManager?.releaseAll();
+      this.scrollLockManager?.reset();
+      this.popoverManager?.closeAll();
+      this.tooltipManager?.destroy();
 
       this.toastManager?.clearAll?.();
       this.confirmBuilder?.cancelAll?.();
@@ -529,6 +1136,14 @@ export class NyamoUIKernel extends KernelEventEmitter {
     return !!(this.layerManager?.hasActiveLayer && this.layerManager.hasActiveLayer());
   }
 
+  getActiveLayer() {
+    return this.layerManager?.getActiveLayer() || null;
+  }
+
+  getLayers() {
+    return this.layerManager?.getLayers() || [];
+  }
+
   getVersion() {
     return this.version;
   }
@@ -554,6 +1169,14 @@ export class NyamoUIKernel extends KernelEventEmitter {
     return this.featureDetector.getFeatures();
   }
 
+  /**
+   * init 後に実際に使われている dialog / sheet の描画方式
+   * @returns {'native'|'overlay'|null}
+   */
+  getRenderer() {
+    return this.layerManager?.renderer || null;
+  }
+
 
   // ================================
   // Public API: Theme
@@ -636,6 +1259,7 @@ export class NyamoUIKernel extends KernelEventEmitter {
       state: this.stateManager.getState(),
       history: this.stateManager.getHistory(),
       errors: this.errorBoundary.getErrors(),
+      notifications: this.notificationCenter.getAll(),
       metrics: this.performanceMonitor.getMetrics(),
       features: this.featureDetector.getFeatures(),
       memory: this.getMemoryInfo(),
@@ -232,11 +232,36 @@ export class FocusableCache {
 
 /**
  * ごくシンプルなイベントバス。
+ * - listen() で登録した DOM リスナーも追跡し、clear() でまとめて外す
  */
 export class EventManager {
   constructor() {
     /** @type {Map<string, Set<Function>>} */
     this.handlers = new Map();
+    /** @type {Set<() => void>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * DOM リスナーを登録し、解除関数を返す
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {EventListener} listener
+   * @param {boolean | AddEventListenerOptions} [options]
+   * @returns {() => void}
+   */
+  listen(target, type, listener, options) {
+    if (!target || typeof target.addEventListener !== 'function') {
+      return () => {};
+    }
+    target.addEventListener(type, listener, options);
+
+    const unlisten = () => {
+      if (!this.listeners.delete(unlisten)) return;
+      target.removeEventListener(type, listener, options);
+    };
+    this.listeners.add(unlisten);
+    return unlisten;
   }
 
   /**
@@ -282,6 +307,9 @@ export class EventManager {
 
   clear() {
     this.handlers.clear();
+    for (const unlisten of Array.from(this.listeners)) {
+      unlisten();
+    }
   }
 }
 
@@ -294,6 +322,9 @@ export class EventManager {
  * @property {string|null} activeLayer
  * @property {number} layerDepth
  * @property {boolean} hasOverlay
+ * @property {{ id: string; type: string|null }[]} [layers]  // 下 → 上 の順
+ * @property {{ id: string; type: string|null; priority: number }[]} [queue]  // 次に開く順
+ * @property {{ merged: number; dropped: number }} [toastStats]  // dedupe / rate limit の累計（診断用）
  */
 
 /**
@@ -313,6 +344,8 @@ export class StateManager {
       activeLayer: null,
       layerDepth: 0,
       hasOverlay: false,
+      layers: [],
+      queue: [],
       ...initial,
     };
 
@@ -351,6 +384,8 @@ export class StateManager {
       activeLayer: null,
       layerDepth: 0,
       hasOverlay: false,
+      layers: [],
+      queue: [],
     };
     this.history.clear();
     this.history.push({ ...this.state });
@@ -9,6 +9,8 @@ import {
   Utils,
   FOCUSABLE_SELECTORS,
   EventEmitter,
+  PausableTimer,
+  CircularBuffer,
 } from './core.js';
 
 
@@ -30,6 +32,8 @@ export class OverlayManager {
     /** @type {HTMLElement | null} */
     this.el = null;
     this._boundClick = this._handleClick.bind(this);
+    // hide() のアニメーション中に show() された場合の打ち消し用
+    this._hideToken = 0;
   }
 
   create() {
@@ -50,16 +54,49 @@ export class OverlayManager {
     return this.el;
   }
 
+  /**
+   * スタック時に最上位レイヤーの直下へ移動させる
+   * @param {number} zIndex
+   */
+  setZIndex(zIndex) {
+    if (!this.el) return;
+    this.el.style.zIndex = String(zIndex);
+  }
+
   show() {
     if (!this.el) return;
+    this._hideToken += 1;
+    this.el.classList.remove(CLASSNAMES.CLOSING);
+    this.el.classList.toggle(CLASSNAMES.NO_MOTION, !Utils.motionEnabled(this.config));
     this.el.style.display = 'block';
-    document.body.classList.add(CLASSNAMES.NO_SCROLL);
+    this.el.classList.add(CLASSNAMES.VISIBLE);
   }
 
+  /**
+   * フェードアウトが終わってから display: none にする
+   * @returns {Promise<void>}
+   */
   hide() {
-    if (!this.el) return;
-    this.el.style.display = 'none';
-    document.body.classList.remove(CLASSNAMES.NO_SCROLL);
+    if (!this.el) return Promise.resolve();
+    const el = this.el;
+    const token = ++this._hideToken;
+
+    el.classList.remove(CLASSNAMES.VISIBLE);
+
+    const finish = () => {
+      if (token !== this._hideToken) return;
+      el.classList.remove(CLASSNAMES.CLOSING);
+      el.style.display = 'none';
+    };
+
+    const duration = Utils.motionEnabled(this.config)
+      ? (el.classList.add(CLASSNAMES.CLOSING), Utils.getAnimationDuration(el))
+      : 0;
+    if (duration <= 0) {
+      finish();
+      return Promise.resolve();
+    }
+    return Utils.waitForAnimation(el, duration).then(finish);
   }
 
   destroy() {
@@ -74,457 +111,5575 @@ export class OverlayManager {
 
 
 // ================================
-// LayerManager
+// ScrollLockManager
 // ================================
 
-export class LayerManager extends EventEmitter {
+/**
+ * 背景スクロールのロック（参照カウント）
+ * - 最初の lock() で適用、最後の unlock() で元に戻す（積んだレイヤーが先に外さない）
+ * - スクロールバーが消えた分だけ body に padding-right を足し、
+ *   同じ幅を --ny-scrollbar-width として公開する（固定ヘッダー用）
+ * - iOS は body を position: fixed にして位置を保存・復元する
+ * - レイヤー内のスクロール領域以外での touchmove を止める
+ */
+export class ScrollLockManager {
   /**
-   * @param {OverlayManager} overlayManager
-   * @param {import('./core.js').Logger} logger
-   * @param {import('./core.js').KernelConfig} config
-   * @param {any} eventBus
-   * @param {any} stateManager
-   * @param {any} focusableCache
+   * @param {import('./state.js').EventManager} eventManager
    */
-  constructor(overlayManager, logger, config, eventBus, stateManager, focusableCache) {
-    super();
-    this.overlayManager = overlayManager;
-    this.logger = logger;
-    this.config = config;
-    this.eventBus = eventBus;
-    this.stateManager = stateManager;
-    this.focusableCache = focusableCache;
+  constructor(eventManager) {
+    this.eventManager = eventManager;
+    this.count = 0;
 
-    /** @type {{ element: HTMLElement; meta: any } | null} */
-    this.activeLayer = null;
+    /** @type {Record<string, any> | null} lock 前の body の inline style など */
+    this.saved = null;
+    /** @type {(() => void) | null} */
+    this._unlistenTouch = null;
   }
 
   /**
-   * @param {HTMLElement} element
-   * @param {{ type?: 'dialog'|'sheet'|'loader'; onOpen?: Function; onClose?: Function; data?: any }} [meta={}]
+   * @returns {number} 現在のロック数
    */
-  open(element, meta = {}) {
-    if (typeof document === 'undefined') return;
-
-    // 既存レイヤーがあれば閉じる（P0 では単一レイヤーで十分）
-    if (this.activeLayer) {
-      this.close();
-    }
+  lock() {
+    this.count += 1;
+    if (this.count === 1) this._apply();
+    return this.count;
+  }
 
-    this.overlayManager.show();
-    document.body.appendChild(element);
-    this.activeLayer = { element, meta };
+  /**
+   * @returns {number} 現在のロック数
+   */
+  unlock() {
+    if (this.count === 0) return 0;
+    this.count -= 1;
+    if (this.count === 0) this._restore();
+    return this.count;
+  }
 
-    // state 更新はざっくり
-    if (this.stateManager && typeof this.stateManager.setState === 'function') {
-      this.stateManager.setState({ activeLayerType: meta.type || null });
-    }
+  isLocked() {
+    return this.count > 0;
+  }
 
-    // フォーカス管理（最低限）
-    this._focusFirst(element);
+  /**
+   * 残っているロックを全部外す（destroy 用）
+   */
+  reset() {
+    if (this.count === 0) return;
+    this.count = 0;
+    this._restore();
+  }
 
-    // onOpen callback
-    Utils.safeExecute(meta.onOpen, null, element, meta.data);
+  /**
+   * @returns {number} px
+   */
+  getScrollbarWidth() {
+    if (typeof window === 'undefined') return 0;
+    const { clientWidth } = document.documentElement;
+    // clientWidth が取れない環境（jsdom 等）では補正しない
+    if (!clientWidth) return 0;
+    return Math.max(0, window.innerWidth - clientWidth);
+  }
 
-    // イベントブリッジ
-    const t = meta.type;
-    const E = DEFAULTS.EVENTS;
-    if (t === 'dialog') {
-      this.emit(E.DIALOG_OPEN, meta);
-    } else if (t === 'sheet') {
-      this.emit(E.SHEET_OPEN, meta);
-    }
+  /**
+   * @private
+   */
+  _apply() {
+    if (typeof document === 'undefined' || !document.body) return;
+    const { body, documentElement: root } = document;
+    const width = this.getScrollbarWidth();
+    const fixed = Utils.isIOS();
 
-    return this;
-  }
+    this.saved = {
+      paddingRight: body.style.paddingRight,
+      position: body.style.position,
+      top: body.style.top,
+      left: body.style.left,
+      width: body.style.width,
+      scrollX: window.scrollX || 0,
+      scrollY: window.scrollY || 0,
+      fixed,
+    };
 
-  close() {
-    if (!this.activeLayer) return this;
-    const { element, meta } = this.activeLayer;
+    root.style.setProperty('--ny-scrollbar-width', `${width}px`);
+    if (width > 0) {
+      const current = parseFloat(getComputedStyle(body).paddingRight) || 0;
+      body.style.paddingRight = `${current + width}px`;
+    }
 
-    // DOM から削除
-    if (element.parentNode) {
-      element.parentNode.removeChild(element);
+    if (fixed) {
+      body.style.position = 'fixed';
+      body.style.top = `-${this.saved.scrollY}px`;
+      body.style.left = `-${this.saved.scrollX}px`;
+      body.style.width = '100%';
     }
 
-    // overlay
-    this.overlayManager.hide();
+    body.classList.add(CLASSNAMES.NO_SCROLL);
+    this._unlistenTouch = this.eventManager.listen(
+      document,
+      'touchmove',
+      (e) => this._handleTouchMove(e),
+      { passive: false },
+    );
+  }
 
-    // state
-    if (this.stateManager && typeof this.stateManager.setState === 'function') {
-      this.stateManager.setState({ activeLayerType: null });
-    }
+  /**
+   * @private
+   */
+  _restore() {
+    this._unlistenTouch?.();
+    this._unlistenTouch = null;
 
-    // onClose callback
-    Utils.safeExecute(meta.onClose, null);
+    const saved = this.saved;
+    this.saved = null;
+    if (!saved || typeof document === 'undefined') return;
 
-    // イベントブリッジ
-    const t = meta.type;
-    const E = DEFAULTS.EVENTS;
-    if (t === 'dialog') {
-      this.emit(E.DIALOG_CLOSE, meta);
-    } else if (t === 'sheet') {
-      this.emit(E.SHEET_CLOSE, meta);
-    }
+    const { body, documentElement: root } = document;
+    body.classList.remove(CLASSNAMES.NO_SCROLL);
+    body.style.paddingRight = saved.paddingRight;
+    root.style.removeProperty('--ny-scrollbar-width');
 
-    this.activeLayer = null;
-    return this;
+    if (saved.fixed) {
+      body.style.position = saved.position;
+      body.style.top = saved.top;
+      body.style.left = saved.left;
+      body.style.width = saved.width;
+      window.scrollTo(saved.scrollX, saved.scrollY);
+    }
   }
 
-  hasActiveLayer() {
-    return !!this.activeLayer;
+  /**
+   * @param {TouchEvent} e
+   * @private
+   */
+  _handleTouchMove(e) {
+    if (!e.cancelable || this._isScrollableInLayer(e.target)) return;
+    e.preventDefault();
   }
 
-  getActiveLayer() {
-    return this.activeLayer;
-  }
+  /**
+   * target から上へ辿り、レイヤー内で実際にスクロールできる要素があるか
+   * @param {EventTarget | null} target
+   * @returns {boolean}
+   * @private
+   */
+  _isScrollableInLayer(target) {
+    let el = /** @type {Element | null} */ (target instanceof Element ? target : null);
 
-  _focusFirst(root) {
-    if (!root || typeof root.querySelectorAll !== 'function') return;
-    const focusables = root.querySelectorAll(FOCUSABLE_SELECTORS);
-    if (focusables && focusables.length > 0) {
-      /** @type {HTMLElement} */ (focusables[0]).focus();
+    while (el && el !== document.body) {
+      const style = getComputedStyle(el);
+      const scrollable =
+        (/(auto|scroll)/.test(style.overflowY) && el.scrollHeight > el.clientHeight) ||
+        (/(auto|scroll)/.test(style.overflowX) && el.scrollWidth > el.clientWidth);
+      if (scrollable) return !!el.closest('[data-ny-layer]');
+      el = el.parentElement;
     }
+    return false;
   }
 }
 
 
 // ================================
-// DialogBuilder
+// FocusTrap
 // ================================
 
-export class DialogBuilder {
+/**
+ * レイヤー単位のフォーカストラップ
+ * - Tab / Shift+Tab をレイヤー内で循環させる
+ * - release() で開く前のフォーカス位置へ戻す
+ */
+export class FocusTrap {
   /**
-   * @param {Function} closeCallback
-   * @param {any} eventBus
-   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   * @param {HTMLElement} element
+   * @param {any} [focusableCache]
    */
-  constructor(closeCallback, eventBus, htmlSanitizer) {
-    this.closeCallback = closeCallback;
-    this.eventBus = eventBus;
-    this.htmlSanitizer = htmlSanitizer;
-  }
+  constructor(element, focusableCache = null) {
+    this.element = element;
+    this.focusableCache = focusableCache;
 
-  /**
-   * @param {{
-   *   title?: string;
-   *   content?: any;
-   *   allowHTML?: boolean;
-   *   onOpen?: Function;
-   *   onClose?: Function;
-   *   data?: any;
-   * }} [options={}]
-   * @returns {HTMLElement}
-   */
-  build(options = {}) {
-    const { title = '', content = '', allowHTML = false } = options;
+    /** @type {HTMLElement | null} */
+    this.previousFocus =
+      typeof document !== 'undefined' && Utils.isHTMLElement(document.activeElement)
+        ? /** @type {HTMLElement} */ (document.activeElement)
+        : null;
 
-    const dialog = Utils.createElement('div', CLASSNAMES.DIALOG);
+    this.active = false;
+    this._boundKeyDown = this._handleKeyDown.bind(this);
+  }
 
-    // Header
-    const header = Utils.createElement('div');
-    const titleEl = Utils.createElement('h2', CLASSNAMES.DIALOG_TITLE, {
-      text: title,
-    });
-    const closeBtn = Utils.createElement('button', CLASSNAMES.CLOSE_BTN, {
-      type: 'button',
-      'aria-label': 'Close dialog',
-    });
+  activate() {
+    if (this.active || !this.element) return;
+    this.active = true;
 
-    closeBtn.addEventListener('click', () => {
-      if (typeof this.closeCallback === 'function') {
-        this.closeCallback();
-      }
-      Utils.safeExecute(options.onClose, null);
-    });
+    if (!this.element.hasAttribute('tabindex')) {
+      this.element.setAttribute('tabindex', '-1');
+    }
+    this.element.addEventListener('keydown', this._boundKeyDown);
 
-    header.appendChild(titleEl);
-    header.appendChild(closeBtn);
+    // [autofocus] があればそれを優先（prompt の input など）
+    const focusables = this._getFocusables();
+    if (focusables.length > 0) {
+      (focusables.find((el) => el.hasAttribute('autofocus')) ?? focusables[0]).focus();
+    } else {
+      this.element.focus();
+    }
+  }
 
-    // Body
-    const body = Utils.createElement('div', CLASSNAMES.DIALOG_BODY);
-    Utils.appendContent(body, content, !!allowHTML, this.htmlSanitizer);
+  release() {
+    if (!this.active) return;
+    this.active = false;
 
-    dialog.appendChild(header);
-    dialog.appendChild(body);
+    this.element.removeEventListener('keydown', this._boundKeyDown);
+    this.focusableCache?.unregisterContainer?.(this.element);
 
-    return dialog;
+    // 下のレイヤー or 元のトリガーにフォーカスを戻す
+    const prev = this.previousFocus;
+    if (prev && prev.isConnected && typeof prev.focus === 'function') {
+      prev.focus();
+    }
+    this.previousFocus = null;
   }
-}
-
-
-// ================================
-// SheetBuilder
-// ================================
 
-export class SheetBuilder {
   /**
-   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   * @returns {HTMLElement[]}
+   * @private
    */
-  constructor(htmlSanitizer) {
-    this.htmlSanitizer = htmlSanitizer;
+  _getFocusables() {
+    if (this.focusableCache && typeof this.focusableCache.get === 'function') {
+      return this.focusableCache.get(this.element);
+    }
+    return Array.from(this.element.querySelectorAll(FOCUSABLE_SELECTORS));
   }
 
   /**
-   * @param {{
-   *   content?: any;
-   *   allowHTML?: boolean;
-   *   from?: 'left'|'right'|'bottom';
-   * }} [options={}]
-   * @returns {HTMLElement}
+   * @param {KeyboardEvent} e
+   * @private
    */
-  build(options = {}) {
-    const { content = '', allowHTML = false } = options;
-    const from = Utils.validateEnum(
-      options.from,
-      DEFAULTS.SHEET.DIRECTIONS,
-      DEFAULTS.SHEET.DEFAULT_DIRECTION,
-    );
+  _handleKeyDown(e) {
+    if (e.key !== 'Tab') return;
 
-    /** @type {string[]} */
-    const classes = [CLASSNAMES.SHEET];
-    if (from === 'right') {
-      classes.push(CLASSNAMES.SHEET_FROM_RIGHT);
-    } else if (from === 'left') {
-      classes.push(CLASSNAMES.SHEET_FROM_LEFT);
-    } else if (from === 'bottom') {
-      classes.push(CLASSNAMES.SHEET_FROM_BOTTOM);
+    const focusables = this._getFocusables();
+    if (focusables.length === 0) {
+      e.preventDefault();
+      this.element.focus();
+      return;
     }
 
-    const sheet = Utils.createElement('div', classes);
-    Utils.appendContent(sheet, content, !!allowHTML, this.htmlSanitizer);
-    return sheet;
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const current = document.activeElement;
+
+    if (e.shiftKey && (current === first || current === this.element)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && current === last) {
+      e.preventDefault();
+      first.focus();
+    }
   }
 }
 
 
 // ================================
-// ToastManager
+// InertManager
 // ================================
 
-export class ToastManager extends EventEmitter {
+/** モーダル中も触れる必要がある floating 要素（inert にしない） */
+const INERT_EXEMPT_CLASSES = [
+  CLASSNAMES.OVERLAY,
+  CLASSNAMES.LOADER_SLOT,
+  CLASSNAMES.POPOVER,
+  CLASSNAMES.TOOLTIP,
+  CLASSNAMES.TOAST_CONTAINER,
+];
+
+const INERT_SKIP_TAGS = ['SCRIPT', 'STYLE', 'LINK', 'TEMPLATE', 'NOSCRIPT'];
+
+/**
+ * native renderer: body 直下 / 各 <dialog> 直下の floating 要素（toast / loader 枠 / popover / tooltip）を
+ * Utils.getFloatingRoot() へ移す。レイヤーの <dialog> を開いた後・閉じる前に呼ぶ
+ * （そのままだと top layer の下に取り残されて inert になる）
+ */
+function syncFloatingRoot() {
+  const root = Utils.getFloatingRoot();
+  const selector = INERT_EXEMPT_CLASSES.filter((cls) => cls !== CLASSNAMES.OVERLAY)
+    .map((cls) => `.${cls}`)
+    .join(',');
+
+  document.querySelectorAll(selector).forEach((el) => {
+    const parent = el.parentElement;
+    if (!parent || parent === root) return;
+    if (parent === document.body || parent.matches(`dialog.${CLASSNAMES.LAYER_HOST}`)) {
+      root.appendChild(el);
+    }
+  });
+}
+
+/**
+ * モーダル中、最上位レイヤー以外の body 直下の要素を inert にする
+ * （inert 非対応環境では aria-hidden="true"）
+ * - 付ける前の値を覚えておき、外す時に元へ戻す
+ * - 開いている間に body へ追加された要素も MutationObserver で追従
+ * - native renderer では showModal() が同じことをするので使わない
+ */
+export class InertManager {
   /**
-   * @param {import('./core.js').Logger} logger
-   * @param {import('./core.js').KernelConfig} config
-   * @param {any} intersectionManager
-   * @param {any} stateManager
+   * @param {import('./core.js').FeatureDetector} featureDetector
    */
-  constructor(logger, config, intersectionManager, stateManager) {
-    super();
-    this.logger = logger;
-    this.config = config;
-    this.intersectionManager = intersectionManager;
-    this.stateManager = stateManager;
-
-    /** @type {HTMLElement | null} */
-    this.container = null;
-    /** @type {Set<number>} */
-    this._timers = new Set();
-  }
+  constructor(featureDetector) {
+    this.featureDetector = featureDetector;
 
-  _ensureContainer() {
-    if (this.container || typeof document === 'undefined') return;
-    this.container = Utils.createElement('div', CLASSNAMES.TOAST_CONTAINER);
-    document.body.appendChild(this.container);
+    /** @type {HTMLElement | null} 今操作できるレイヤー */
+    this.active = null;
+    /** @type {Map<HTMLElement, { inert: boolean; ariaHidden: string | null }>} */
+    this.saved = new Map();
+    /** @type {MutationObserver | null} */
+    this.observer = null;
   }
 
   /**
-   * @param {string} message
-   * @param {string} type
-   * @param {number} duration
+   * @param {HTMLElement | null} active  最上位レイヤー（null で全部戻す）
    */
-  show(message, type = 'info', duration = DEFAULTS.TOAST.DURATION) {
-    this._ensureContainer();
-    if (!this.container) return;
+  update(active) {
+    if (typeof document === 'undefined' || !document.body) return;
+    this.active = active;
 
-    const toast = Utils.createElement('div', CLASSNAMES.TOAST);
-    toast.textContent = String(message);
+    if (!active) {
+      this.release();
+      return;
+    }
 
-    // type クラス（最低限 success / error だけ付ける）
-    if (type === 'success') {
-      toast.classList.add(CLASSNAMES.TOAST_SUCCESS);
-    } else if (type === 'error') {
-      toast.classList.add(CLASSNAMES.TOAST_ERROR);
+    for (const child of Array.from(document.body.children)) {
+      const el = /** @type {HTMLElement} */ (child);
+      if (this._isExempt(el)) this._restore(el);
+      else this._apply(el);
     }
+    this._observe();
+  }
 
-    this.container.appendChild(toast);
+  release() {
+    this.active = null;
+    this.observer?.disconnect();
+    this.observer = null;
+    for (const el of Array.from(this.saved.keys())) {
+      this._restore(el);
+    }
+  }
 
-    // maxToasts を強制（P0: デフォルト 2）
-    const max =
-      typeof this.config.maxToasts === 'number'
-        ? this.config.maxToasts
-        : DEFAULTS.TOAST.MAX_VISIBLE;
+  /**
+   * @param {HTMLElement} el
+   * @returns {boolean}
+   * @private
+   */
+  _isExempt(el) {
+    if (!Utils.isHTMLElement(el)) return true;
+    if (el === this.active || INERT_SKIP_TAGS.includes(el.tagName)) return true;
+    return INERT_EXEMPT_CLASSES.some((cls) => el.classList.contains(cls));
+  }
 
-    while (this.container.children.length > max) {
-      const first = this.container.firstElementChild;
-      if (first) {
-        this.container.removeChild(first);
-      } else {
-        break;
-      }
+  /**
+   * @param {HTMLElement} el
+   * @private
+   */
+  _apply(el) {
+    if (this.saved.has(el)) return;
+    this.saved.set(el, {
+      inert: !!(/** @type {any} */ (el).inert),
+      ariaHidden: el.getAttribute('aria-hidden'),
+    });
+
+    if (this.featureDetector.isSupported('inert')) {
+      /** @type {any} */ (el).inert = true;
+    } else {
+      el.setAttribute('aria-hidden', 'true');
     }
+  }
 
-    // 自動クローズ
-    const timer = setTimeout(() => {
-      this._timers.delete(timer);
-      if (toast.parentNode) {
-        toast.parentNode.removeChild(toast);
-      }
-    }, duration);
-    this._timers.add(timer);
+  /**
+   * @param {HTMLElement} el
+   * @private
+   */
+  _restore(el) {
+    const prev = this.saved.get(el);
+    if (!prev) return;
+    this.saved.delete(el);
 
-    this.emit(DEFAULTS.EVENTS.TOAST_SHOW, { message, type });
+    if (this.featureDetector.isSupported('inert')) {
+      /** @type {any} */ (el).inert = prev.inert;
+    } else if (prev.ariaHidden == null) {
+      el.removeAttribute('aria-hidden');
+    } else {
+      el.setAttribute('aria-hidden', prev.ariaHidden);
+    }
   }
 
-  clearAll() {
-    if (!this.container) return;
-    while (this.container.firstChild) {
-      this.container.removeChild(this.container.firstChild);
-    }
-    for (const t of this._timers) {
-      clearTimeout(t);
-    }
-    this._timers.clear();
+  /**
+   * @private
+   */
+  _observe() {
+    if (this.observer || !this.featureDetector.isSupported('mutationObserver')) return;
+
+    this.observer = new MutationObserver((records) => {
+      for (const record of records) {
+        record.addedNodes.forEach((node) => {
+          const el = /** @type {HTMLElement} */ (node);
+          if (this.active && el.parentNode === document.body && !this._isExempt(el)) {
+            this._apply(el);
+          }
+        });
+        // 外された要素は付けた値を残さない（後で別の場所へ戻されることがある）
+        record.removedNodes.forEach((node) => this._restore(/** @type {HTMLElement} */ (node)));
+      }
+    });
+    this.observer.observe(document.body, { childList: true });
   }
 }
 
 
 // ================================
-// LoaderBuilder
+// LayerHandle
 // ================================
 
-export class LoaderBuilder {
+/**
+ * dialog() / sheet() / popover() が返す個別レイヤーの操作ハンドル
+ * - update(options) でタイトル / 本文 / フッターを再描画
+ * - close(result) で「このレイヤーだけ」を閉じる
+ * - opened は表示されたら true、onBeforeOpen で拒否されたら false で resolve
+ * - closed は close 時の result で resolve される
+ */
+export class LayerHandle {
   /**
-   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   * @param {LayerManager | PopoverManager} layerManager - closeLayer(id, result) を持つもの
+   * @param {Layer | Popover} layer
    */
-  constructor(htmlSanitizer) {
-    this.htmlSanitizer = htmlSanitizer;
+  constructor(layerManager, layer) {
+    this._layerManager = layerManager;
+    this._layer = layer;
+
+    /** @type {string} */
+    this.id = layer.id;
+    /** @type {HTMLElement} */
+    this.element = layer.element;
+    /** @type {string | undefined} */
+    this.type = layer.meta.type;
+    /** @type {Promise<boolean>} */
+    this.opened = layer.opened;
+    /** @type {Promise<any>} */
+    this.closed = layer.closed;
   }
 
   /**
-   * @param {string} [text='']
-   * @returns {HTMLElement}
+   * @returns {boolean}
    */
-  build(text = '') {
-    const root = Utils.createElement('div', CLASSNAMES.LOADER);
-    const spinner = Utils.createElement('div', CLASSNAMES.SPINNER);
-    root.appendChild(spinner);
+  isOpen() {
+    return this._layer.state === 'open';
+  }
 
-    if (text) {
-      const label = Utils.createElement('div', null, { text });
-      root.appendChild(label);
-    }
+  /**
+   * @param {Object} [options={}]
+   * @returns {this}
+   */
+  update(options = {}) {
+    if (this._layer.state === 'closed') return this;
+    Utils.safeExecute(this._layer.meta.update, null, this.element, options);
+    return this;
+  }
 
-    return root;
+  /**
+   * snapPoints 付きの bottom sheet を index 番目（小さい順）の高さにする
+   * @param {number} index
+   * @returns {this}
+   */
+  snapTo(index) {
+    if (this._layer.state === 'closed') return this;
+    Utils.safeExecute(this._layer.meta.snapTo, null, index);
+    return this;
+  }
+
+  /**
+   * onBeforeClose で拒否されうるので、結果は closeLayer() の Promise を参照
+   * @param {any} [result]
+   * @returns {this}
+   */
+  close(result) {
+    this._layerManager.closeLayer(this.id, result);
+    return this;
   }
 }
 
 
 // ================================
-// ConfirmBuilder
+// LayerManager
 // ================================
 
-export class ConfirmBuilder {
-  /**
-   * @param {DialogBuilder} dialogBuilder
-   * @param {Function} closeCallback
-   * @param {any} featureDetector
-   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
-   */
-  constructor(dialogBuilder, closeCallback, featureDetector, htmlSanitizer) {
-    this.dialogBuilder = dialogBuilder;
-    this.closeCallback = closeCallback;
-    this.featureDetector = featureDetector;
-    this.htmlSanitizer = htmlSanitizer;
-  }
+/**
+ * onBeforeOpen / onBeforeClose に渡されるコンテキスト
+ * @typedef {Object} LayerTransition
+ * @property {string} id
+ * @property {string | undefined} type
+ * @property {HTMLElement} element
+ * @property {any} data
+ * @property {string} [reason]   // close 時のみ: 'api' | 'escape' | 'overlay' | 'close-button' | 'confirm'
+ * @property {any} [result]      // close 時のみ
+ */
+
+/**
+ * false を返す / reject すると遷移を拒否する
+ * @typedef {(ctx: LayerTransition) => boolean | void | Promise<boolean | void>} LayerGuard
+ */
+
+/**
+ * @typedef {Object} LayerMeta
+ * @property {'dialog'|'sheet'|'loader'} [type]
+ * @property {Function} [onOpen]
+ * @property {Function} [onClose]        // onClose(result)
+ * @property {LayerGuard} [onBeforeOpen]
+ * @property {LayerGuard} [onBeforeClose]
+ * @property {string | number} [priority]  // 'low' | 'normal' | 'high' | 'critical' or 数値
+ * @property {boolean} [stack]             // true ならキューを通さず常に上へ積む
+ * @property {(element: HTMLElement, options: Object) => void} [update]  // LayerHandle.update 用
+ * @property {any} [data]
+ */
+
+/**
+ * @typedef {Object} Layer
+ * @property {string} id
+ * @property {HTMLElement} element
+ * @property {LayerMeta} meta
+ * @property {'queued'|'pending'|'open'|'closed'} state
+ * @property {number} priority
+ * @property {number} zIndex
+ * @property {FocusTrap} focusTrap
+ * @property {HTMLDialogElement | null} [host]    // native renderer の時だけ入る
+ * @property {Promise<boolean> | null} closing   // onBeforeClose 待ちの間だけ入る
+ * @property {(() => void) | null} [finishExit]  // 退出アニメーション中だけ入る
+ * @property {Promise<boolean>} opened
+ * @property {(opened: boolean) => void} resolveOpened
+ * @property {Promise<any>} closed
+ * @property {(result: any) => void} resolveClosed
+ */
 
+/**
+ * レイヤースタック管理
+ * - open() は既存レイヤーを閉じずに上へ積む
+ * - close() は常に最上位レイヤーだけを閉じる
+ * - レイヤーごとに z-index / FocusTrap / onClose / イベントを持つ
+ * - onBeforeOpen / onBeforeClose と before* イベントで遷移を拒否できる
+ *   （ガードが同期なら遷移も同期で完了する）
+ * - 開いているレイヤーより priority が高くなければキューで待たせ、
+ *   スタックが空になったら priority 順（同じなら FIFO）に開く
+ * - renderer = 'native' ではレイヤーごとに <dialog> で包んで showModal() する
+ *   （top layer / ::backdrop / inert をブラウザに任せ、.ny-overlay は使わない）
+ */
+export class LayerManager extends EventEmitter {
   /**
-   * @param {{
-   *   title?: string;
-   *   content?: any;
+   * @param {OverlayManager} overlayManager
+   * @param {import('./core.js').Logger} logger
+   * @param {import('./core.js').KernelConfig} config
+   * @param {any} eventBus
+   * @param {any} stateManager
+   * @param {any} focusableCache
+   * @param {'native'|'overlay'} [renderer='overlay']
+   * @param {InertManager | null} [inertManager=null]  // overlay renderer 用
+   * @param {ScrollLockManager | null} [scrollLock=null]
+   */
+  constructor(
+    overlayManager,
+    logger,
+    config,
+    eventBus,
+    stateManager,
+    focusableCache,
+    renderer = 'overlay',
+    inertManager = null,
+    scrollLock = null,
+  ) {
+    super();
+    this.overlayManager = overlayManager;
+    this.logger = logger;
+    this.config = config;
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.focusableCache = focusableCache;
+    this.renderer = renderer;
+    this.inertManager = inertManager;
+    this.scrollLock = scrollLock;
+
+    /** @type {Layer[]} 下 → 上 の順 */
+    this.layers = [];
+    /** @type {Set<Layer>} 非同期 onBeforeOpen 待ち */
+    this.pending = new Set();
+    /** @type {Set<Layer>} 退出アニメーション中 */
+    this.exiting = new Set();
+    /** @type {Layer[]} 開く順に並んだ待ち行列 */
+    this.queue = [];
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {LayerMeta} [meta={}]
+   * @returns {LayerHandle | undefined}
+   */
+  open(element, meta = {}) {
+    if (typeof document === 'undefined') return undefined;
+
+    /** @type {(opened: boolean) => void} */
+    let resolveOpened = () => {};
+    const opened = new Promise((resolve) => {
+      resolveOpened = resolve;
+    });
+    /** @type {(result: any) => void} */
+    let resolveClosed = () => {};
+    const closed = new Promise((resolve) => {
+      resolveClosed = resolve;
+    });
+
+    /** @type {Layer} */
+    const layer = {
+      id: Utils.generateId(),
+      element,
+      meta,
+      state: 'pending',
+      priority: this._resolvePriority(meta.priority),
+      zIndex: 0,
+      focusTrap: new FocusTrap(element, this.focusableCache),
+      closing: null,
+      opened,
+      resolveOpened,
+      closed,
+      resolveClosed,
+    };
+    const handle = new LayerHandle(this, layer);
+
+    const busy = this.layers.length > 0 || this.pending.size > 0;
+    if (busy && !meta.stack && layer.priority <= this._currentPriority()) {
+      this._enqueue(layer);
+    } else {
+      this._begin(layer);
+    }
+
+    return handle;
+  }
+
+  /**
+   * @returns {{ id: string; type: string|undefined; priority: number }[]}
+   */
+  getQueue() {
+    return this.queue.map((l) => ({ id: l.id, type: l.meta.type, priority: l.priority }));
+  }
+
+  /**
+   * 待ち行列を破棄する（各 handle.closed は undefined で resolve）
+   * @returns {this}
+   */
+  clearQueue() {
+    const dropped = this.queue.splice(0);
+    for (const layer of dropped) {
+      this._abort(layer);
+    }
+    this._syncState();
+    return this;
+  }
+
+  /**
+   * 最上位レイヤーを閉じる
+   * スタックからは即座に外れ、Promise は退出アニメーション後の DOM 削除で resolve する
+   * @param {any} [result]
+   * @param {string} [reason='api']
+   * @returns {Promise<boolean>} 実際に閉じたら true
+   */
+  close(result, reason = 'api') {
+    const top = this.getActiveLayer();
+    if (!top) return Promise.resolve(false);
+    return this._requestClose(top, result, reason);
+  }
+
+  /**
+   * id または element を指定して特定のレイヤーを閉じる
+   * @param {string | HTMLElement} target
+   * @param {any} [result]
+   * @param {string} [reason='api']
+   * @returns {Promise<boolean>} 実際に閉じたら true
+   */
+  closeLayer(target, result, reason = 'api') {
+    const layer = this._findLayer(target);
+    if (layer) return this._requestClose(layer, result, reason);
+
+    // キュー待ちのレイヤーは取り除くだけ
+    const queued = this.queue.find((l) => l.id === target || l.element === target);
+    if (queued) {
+      this.queue.splice(this.queue.indexOf(queued), 1);
+      this._abort(queued, result);
+      this._syncState();
+      return Promise.resolve(true);
+    }
+
+    // まだ onBeforeOpen 待ちのレイヤーはそのまま破棄
+    for (const p of this.pending) {
+      if (p.id === target || p.element === target) {
+        this.pending.delete(p);
+        this._abort(p, result);
+        return Promise.resolve(true);
+      }
+    }
+    return Promise.resolve(false);
+  }
+
+  /**
+   * 全レイヤーを上から順に閉じる
+   * NOTE: destroy 用。onBeforeClose も退出アニメーションも通さない
+   * @returns {this}
+   */
+  closeAll() {
+    // 閉じた後にキューから開き直さないよう先に捨てる
+    this.clearQueue();
+
+    for (const p of this.pending) {
+      this._abort(p);
+    }
+    this.pending.clear();
+
+    while (this.layers.length > 0) {
+      this._teardown(this.layers[this.layers.length - 1], undefined, false);
+    }
+    for (const layer of Array.from(this.exiting)) {
+      layer.finishExit?.();
+    }
+    return this;
+  }
+
+  hasActiveLayer() {
+    return this.layers.length > 0;
+  }
+
+  /**
+   * @returns {Layer | null}
+   */
+  getActiveLayer() {
+    return this.layers[this.layers.length - 1] || null;
+  }
+
+  /**
+   * @returns {Layer[]} 下 → 上 の順のコピー
+   */
+  getLayers() {
+    return this.layers.slice();
+  }
+
+  /**
+   * @param {string | HTMLElement} target
+   * @returns {Layer | undefined}
+   * @private
+   */
+  _findLayer(target) {
+    return this.layers.find((l) => l.id === target || l.element === target);
+  }
+
+  /**
+   * @param {Layer} layer
+   * @param {any} result
+   * @param {string} reason
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  _requestClose(layer, result, reason) {
+    if (layer.closing) return layer.closing;
+
+    const verdict = this._runGuard(layer, 'close', { reason, result });
+    if (!Utils.isThenable(verdict)) {
+      if (!verdict) return Promise.resolve(false);
+      return this._teardown(layer, result).then(() => true);
+    }
+
+    layer.closing = verdict.then((ok) => {
+      layer.closing = null;
+      if (!ok || layer.state !== 'open') return false;
+      return this._teardown(layer, result).then(() => true);
+    });
+    return layer.closing;
+  }
+
+  /**
+   * onBefore* フックと before* イベントを評価する
+   * - フックが false / reject / throw → 拒否
+   * - イベントリスナーが payload.preventDefault() → 拒否
+   *
+   * @param {Layer} layer
+   * @param {'open'|'close'} phase
+   * @param {{ reason?: string; result?: any }} [extra={}]
+   * @returns {boolean | Promise<boolean>}
+   * @private
+   */
+  _runGuard(layer, phase, extra = {}) {
+    const { meta } = layer;
+
+    /** @type {LayerTransition} */
+    const ctx = {
+      id: layer.id,
+      type: meta.type,
+      element: layer.element,
+      data: meta.data,
+      ...extra,
+    };
+
+    let prevented = false;
+    this._emitLayerEvent(layer, phase === 'open' ? 'beforeopen' : 'beforeclose', {
+      ...extra,
+      preventDefault: () => {
+        prevented = true;
+      },
+    });
+    if (prevented) return false;
+
+    const hook = phase === 'open' ? meta.onBeforeOpen : meta.onBeforeClose;
+    if (typeof hook !== 'function') return true;
+
+    /** @type {any} */
+    let verdict;
+    try {
+      verdict = hook(ctx);
+    } catch (err) {
+      this.logger.warn(`onBefore${phase === 'open' ? 'Open' : 'Close'} threw; vetoed`, err);
+      return false;
+    }
+
+    if (!Utils.isThenable(verdict)) return verdict !== false;
+
+    return Promise.resolve(verdict).then(
+      (v) => v !== false,
+      (err) => {
+        this.logger.log('Layer transition rejected:', err);
+        return false;
+      },
+    );
+  }
+
+  /**
+   * @param {string | number | undefined} priority
+   * @returns {number}
+   * @private
+   */
+  _resolvePriority(priority) {
+    if (typeof priority === 'number' && Number.isFinite(priority)) return priority;
+    const { PRIORITIES, DEFAULT_PRIORITY } = DEFAULTS.QUEUE;
+    return PRIORITIES[priority] ?? PRIORITIES[DEFAULT_PRIORITY];
+  }
+
+  /**
+   * 表示中（または onBeforeOpen 待ち）の最上位 priority
+   * @returns {number}
+   * @private
+   */
+  _currentPriority() {
+    const top = this.getActiveLayer();
+    const pending = Array.from(this.pending, (l) => l.priority);
+    return Math.max(top ? top.priority : -Infinity, ...pending);
+  }
+
+  /**
+   * priority 降順・同順位は FIFO で挿入
+   * @param {Layer} layer
+   * @private
+   */
+  _enqueue(layer) {
+    layer.state = 'queued';
+    const index = this.queue.findIndex((l) => l.priority < layer.priority);
+    if (index === -1) this.queue.push(layer);
+    else this.queue.splice(index, 0, layer);
+
+    this.logger.log(`Layer queued: ${layer.id} (priority ${layer.priority})`);
+    this._syncState();
+  }
+
+  /**
+   * スタックが空になったらキューの先頭から開く
+   * @private
+   */
+  _drainQueue() {
+    while (this.layers.length === 0 && this.pending.size === 0 && this.queue.length > 0) {
+      this._begin(/** @type {Layer} */ (this.queue.shift()));
+    }
+  }
+
+  /**
+   * onBeforeOpen を評価して mount / 保留 / 破棄 のどれかに進める
+   * @param {Layer} layer
+   * @private
+   */
+  _begin(layer) {
+    layer.state = 'pending';
+
+    const verdict = this._runGuard(layer, 'open');
+    if (Utils.isThenable(verdict)) {
+      this.pending.add(layer);
+      verdict.then((ok) => {
+        // 待っている間に handle.close() された
+        if (!this.pending.delete(layer)) return;
+        if (ok) this._mount(layer);
+        else this._abort(layer);
+        this._drainQueue();
+      });
+    } else if (verdict) {
+      this._mount(layer);
+    } else {
+      this._abort(layer);
+    }
+  }
+
+  /**
+   * @param {Layer} layer
+   * @private
+   */
+  _mount(layer) {
+    const { element, meta } = layer;
+
+    layer.zIndex =
+      DEFAULTS.LAYER.BASE_Z_INDEX + this.layers.length * DEFAULTS.LAYER.Z_INDEX_STEP;
+    element.style.zIndex = String(layer.zIndex);
+    element.setAttribute('data-ny-layer', layer.id);
+    element.classList.toggle(CLASSNAMES.NO_MOTION, !Utils.motionEnabled(this.config));
+
+    if (this.renderer === 'native') {
+      layer.host = this._createHost(layer);
+      layer.host.appendChild(element);
+      document.body.appendChild(layer.host);
+      layer.host.showModal();
+      syncFloatingRoot();
+    } else {
+      // overlay は常に最上位レイヤーの直下に置く
+      this.overlayManager.setZIndex(layer.zIndex - 1);
+      if (this.layers.length === 0) {
+        this.overlayManager.show();
+      }
+      document.body.appendChild(element);
+      this.inertManager?.update(element);
+    }
+    // レイヤーごとに 1 つ取る（最後のレイヤーが閉じるまで外れない）
+    this.scrollLock?.lock();
+
+    layer.state = 'open';
+    this.layers.push(layer);
+    this._syncState();
+
+    layer.focusTrap.activate();
+
+    // onOpen callback
+    Utils.safeExecute(meta.onOpen, null, element, meta.data);
+
+    this._emitLayerEvent(layer, 'open');
+    layer.resolveOpened(true);
+  }
+
+  /**
+   * native renderer 用の <dialog>
+   * - Escape（cancel）は closeKey の処理に一本化するので既定動作を止める
+   * - <dialog> 自身へのクリック = ::backdrop のクリックとして overlay と同じ経路へ
+   * - form[method=dialog] などブラウザ側で閉じられたらスタックからも外す
+   * @param {Layer} layer
+   * @returns {HTMLDialogElement}
+   * @private
+   */
+  _createHost(layer) {
+    const host = /** @type {HTMLDialogElement} */ (
+      Utils.createElement('dialog', CLASSNAMES.LAYER_HOST, { id: undefined })
+    );
+    host.addEventListener('cancel', (e) => e.preventDefault());
+    host.addEventListener('click', (e) => {
+      if (e.target === host) this.overlayManager.onClick?.(e);
+    });
+    host.addEventListener('close', () => {
+      if (layer.state === 'open') this._teardown(layer, host.returnValue || undefined, false);
+    });
+    return host;
+  }
+
+  /**
+   * 表示されないまま終わったレイヤー
+   * @param {Layer} layer
+   * @param {any} [result]
+   * @private
+   */
+  _abort(layer, result) {
+    layer.state = 'closed';
+    layer.resolveOpened(false);
+    layer.resolveClosed(result);
+  }
+
+  /**
+   * 1. スタックから外す / フォーカスを戻す / state 更新（同期）
+   * 2. .ny-closing を付けて退出アニメーションを待つ
+   * 3. DOM 削除 → onClose → close イベント → closed resolve
+   *
+   * @param {Layer} layer
+   * @param {any} [result]
+   * @param {boolean} [animate=true]
+   * @returns {Promise<void>}
+   * @private
+   */
+  _teardown(layer, result, animate = true) {
+    const index = this.layers.indexOf(layer);
+    if (index === -1) return Promise.resolve();
+    this.layers.splice(index, 1);
+    layer.state = 'closed';
+
+    const { element, meta, host } = layer;
+
+    // native: <dialog> を閉じるまで背景は inert なので、フォーカスは finish() で戻す
+    if (!host) layer.focusTrap.release();
+
+    // overlay: 残りがあれば新しい最上位の直下へ、
+    // 空になったらキューから次を開き、それでも空なら隠す
+    const top = this.getActiveLayer();
+    if (top) {
+      if (!host) this.overlayManager.setZIndex(top.zIndex - 1);
+    } else {
+      this._drainQueue();
+      if (!this.getActiveLayer() && !host) this.overlayManager.hide();
+    }
+    if (!host) this.inertManager?.update(this.getActiveLayer()?.element || null);
+    // キューから次が開いた後で外す（一瞬だけ解除されるのを避ける）
+    this.scrollLock?.unlock();
+
+    this._syncState();
+
+    let finished = false;
+    const finish = () => {
+      if (finished) return;
+      finished = true;
+      this.exiting.delete(layer);
+      layer.finishExit = null;
+
+      // DOM から削除
+      element.classList.remove(CLASSNAMES.CLOSING);
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+      if (host) {
+        if (host.open) host.close();
+        // 中に移しておいた toast などは下のレイヤー（または body）へ戻してから外す
+        syncFloatingRoot();
+        host.parentNode?.removeChild(host);
+        layer.focusTrap.release();
+      }
+
+      // onClose callback
+      Utils.safeExecute(meta.onClose, null, result);
+
+      this._emitLayerEvent(layer, 'close', { result });
+      layer.resolveClosed(result);
+    };
+    layer.finishExit = finish;
+
+    const duration =
+      animate && Utils.motionEnabled(this.config)
+        ? (element.classList.add(CLASSNAMES.CLOSING), Utils.getAnimationDuration(element))
+        : 0;
+    if (duration <= 0) {
+      finish();
+      return Promise.resolve();
+    }
+
+    this.exiting.add(layer);
+    return Utils.waitForAnimation(element, duration).then(finish);
+  }
+
+  /**
+   * @param {Layer} layer
+   * @param {'beforeopen'|'open'|'beforeclose'|'close'} phase
+   * @param {Object} [extra={}]
+   * @private
+   */
+  _emitLayerEvent(layer, phase, extra = {}) {
+    const E = DEFAULTS.EVENTS;
+    const names = {
+      dialog: {
+        beforeopen: E.DIALOG_BEFORE_OPEN,
+        open: E.DIALOG_OPEN,
+        beforeclose: E.DIALOG_BEFORE_CLOSE,
+        close: E.DIALOG_CLOSE,
+      },
+      sheet: {
+        beforeopen: E.SHEET_BEFORE_OPEN,
+        open: E.SHEET_OPEN,
+        beforeclose: E.SHEET_BEFORE_CLOSE,
+        close: E.SHEET_CLOSE,
+      },
+    }[layer.meta.type];
+    if (!names) return;
+
+    this.emit(names[phase], { ...layer.meta, id: layer.id, ...extra });
+  }
+
+  /**
+   * @private
+   */
+  _syncState() {
+    if (!this.stateManager || typeof this.stateManager.setState !== 'function') return;
+    const top = this.getActiveLayer();
+    this.stateManager.setState({
+      activeLayer: top ? top.id : null,
+      activeLayerType: top ? top.meta.type || null : null,
+      layerDepth: this.layers.length,
+      hasOverlay: this.layers.length > 0,
+      layers: this.layers.map((l) => ({ id: l.id, type: l.meta.type || null })),
+      queue: this.queue.map((l) => ({
+        id: l.id,
+        type: l.meta.type || null,
+        priority: l.priority,
+      })),
+    });
+  }
+}
+
+
+// ================================
+// DialogBuilder
+// ================================
+
+export class DialogBuilder {
+  /**
+   * @param {Function} closeCallback
+   * @param {any} eventBus
+   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   */
+  constructor(closeCallback, eventBus, htmlSanitizer) {
+    this.closeCallback = closeCallback;
+    this.eventBus = eventBus;
+    this.htmlSanitizer = htmlSanitizer;
+  }
+
+  /**
+   * @param {{
+   *   title?: string;
+   *   content?: any;
+   *   footer?: any;
    *   allowHTML?: boolean;
-   *   okLabel?: string;
-   *   cancelLabel?: string;
+   *   onOpen?: Function;
+   *   onClose?: Function;
+   *   data?: any;
    * }} [options={}]
+   * @returns {HTMLElement}
+   */
+  build(options = {}) {
+    const { title = '', content = '', allowHTML = false } = options;
+
+    const dialog = Utils.createElement('div', CLASSNAMES.DIALOG);
+
+    // Header
+    const header = Utils.createElement('div', CLASSNAMES.DIALOG_HEADER);
+    const titleEl = Utils.createElement('h2', CLASSNAMES.DIALOG_TITLE, {
+      text: title,
+    });
+    const closeBtn = Utils.createElement('button', CLASSNAMES.CLOSE_BTN, {
+      type: 'button',
+      'aria-label': 'Close dialog',
+    });
+
+    // onClose は LayerManager 側で呼ばれるのでここでは閉じるだけ
+    closeBtn.addEventListener('click', () => {
+      if (typeof this.closeCallback === 'function') {
+        this.closeCallback(dialog, undefined, 'close-button');
+      }
+    });
+
+    header.appendChild(titleEl);
+    header.appendChild(closeBtn);
+
+    // Body
+    const body = Utils.createElement('div', CLASSNAMES.DIALOG_BODY);
+    Utils.appendContent(body, content, !!allowHTML, this.htmlSanitizer);
+
+    dialog.appendChild(header);
+    dialog.appendChild(body);
+
+    if (options.footer != null) {
+      this._renderFooter(dialog, options.footer, !!allowHTML);
+    }
+
+    return dialog;
+  }
+
+  /**
+   * 既存 dialog の title / content / footer を差し替える
+   * - options に含まれているキーだけ更新する
+   * - footer: null でフッターを取り除く
+   *
+   * @param {HTMLElement} dialog
+   * @param {{ title?: string; content?: any; footer?: any; allowHTML?: boolean }} [options={}]
+   */
+  update(dialog, options = {}) {
+    if (!dialog) return;
+    const allowHTML = !!options.allowHTML;
+
+    if ('title' in options) {
+      const titleEl = dialog.querySelector(`.${CLASSNAMES.DIALOG_TITLE}`);
+      if (titleEl) titleEl.textContent = String(options.title ?? '');
+    }
+
+    if ('content' in options) {
+      const body = dialog.querySelector(`.${CLASSNAMES.DIALOG_BODY}`);
+      if (body) {
+        Utils.appendContent(body, options.content, allowHTML, this.htmlSanitizer);
+      }
+    }
+
+    if ('footer' in options) {
+      this._renderFooter(dialog, options.footer, allowHTML);
+    }
+  }
+
+  /**
+   * @param {HTMLElement} dialog
+   * @param {any} footerContent
+   * @param {boolean} allowHTML
+   * @private
+   */
+  _renderFooter(dialog, footerContent, allowHTML) {
+    let footer = dialog.querySelector(`:scope > .${CLASSNAMES.DIALOG_FOOTER}`);
+
+    if (footerContent == null) {
+      footer?.remove();
+      return;
+    }
+
+    if (!footer) {
+      footer = Utils.createElement('div', CLASSNAMES.DIALOG_FOOTER);
+      dialog.appendChild(footer);
+    }
+    Utils.appendContent(
+      /** @type {HTMLElement} */ (footer),
+      footerContent,
+      allowHTML,
+      this.htmlSanitizer,
+    );
+  }
+}
+
+
+// ================================
+// SheetBuilder
+// ================================
+
+export class SheetBuilder {
+  /**
+   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   */
+  constructor(htmlSanitizer) {
+    this.htmlSanitizer = htmlSanitizer;
+  }
+
+  /**
+   * @param {{
+   *   content?: any;
+   *   allowHTML?: boolean;
+   *   from?: 'left'|'right'|'bottom';
+   *   snapPoints?: (string|number)[];  // from: 'bottom' のときだけ。ハンドルと中身の枠を作る
+   *   handleLabel?: string;
+   * }} [options={}]
+   * @returns {HTMLElement}
+   */
+  build(options = {}) {
+    const { content = '', allowHTML = false, handleLabel = 'Resize' } = options;
+    const from = Utils.validateEnum(
+      options.from,
+      DEFAULTS.SHEET.DIRECTIONS,
+      DEFAULTS.SHEET.DEFAULT_DIRECTION,
+    );
+
+    /** @type {string[]} */
+    const classes = [CLASSNAMES.SHEET];
+    if (from === 'right') {
+      classes.push(CLASSNAMES.SHEET_FROM_RIGHT);
+    } else if (from === 'left') {
+      classes.push(CLASSNAMES.SHEET_FROM_LEFT);
+    } else if (from === 'bottom') {
+      classes.push(CLASSNAMES.SHEET_FROM_BOTTOM);
+    }
+
+    const snap = from === 'bottom' && Array.isArray(options.snapPoints) && options.snapPoints.length > 0;
+    if (snap) classes.push(CLASSNAMES.SHEET_SNAP);
+
+    const sheet = Utils.createElement('div', classes);
+    if (!snap) {
+      Utils.appendContent(sheet, content, !!allowHTML, this.htmlSanitizer);
+      return sheet;
+    }
+
+    // ハンドルは update() で消えないよう中身とは別の枠に置く
+    const handle = Utils.createElement('button', CLASSNAMES.SHEET_HANDLE, {
+      type: 'button',
+      id: undefined,
+      'aria-label': handleLabel,
+    });
+    const body = Utils.createElement('div', CLASSNAMES.SHEET_CONTENT, { id: undefined });
+    Utils.appendContent(body, content, !!allowHTML, this.htmlSanitizer);
+    sheet.append(handle, body);
+    return sheet;
+  }
+
+  /**
+   * @param {HTMLElement} sheet
+   * @param {{ content?: any; allowHTML?: boolean }} [options={}]
+   */
+  update(sheet, options = {}) {
+    if (!sheet || !('content' in options)) return;
+    const target = sheet.querySelector(`:scope > .${CLASSNAMES.SHEET_CONTENT}`) || sheet;
+    Utils.appendContent(target, options.content, !!options.allowHTML, this.htmlSanitizer);
+  }
+
+  /**
+   * snapPoints 付きの sheet に SheetSnapController を付ける（付かない sheet なら null）
+   * @param {HTMLElement} sheet
+   * @param {(string|number)[] | undefined} snapPoints
+   * @param {ConstructorParameters<typeof SheetSnapController>[2]} options
+   * @returns {SheetSnapController | null}
+   */
+  bindSnap(sheet, snapPoints, options) {
+    if (!sheet?.classList.contains(CLASSNAMES.SHEET_SNAP) || !Array.isArray(snapPoints)) return null;
+    return new SheetSnapController(sheet, snapPoints, options);
+  }
+
+  /**
+   * 出てきた端へ引き戻すと閉じる
+   * - 閉じるかどうかは requestClose（LayerManager の closeLayer）に任せ、拒否されたら元に戻す
+   * - 下から出る sheet は中身が一番上までスクロールされているときだけ掴める
+   * @param {HTMLElement} sheet
+   * @param {import('./core.js').KernelConfig} config
+   * @param {() => Promise<boolean>} requestClose
+   * @returns {SwipeGesture | null}
+   */
+  bindDrag(sheet, config, requestClose) {
+    if (!sheet || config?.gestures === false) return null;
+
+    const bottom = sheet.classList.contains(CLASSNAMES.SHEET_FROM_BOTTOM);
+    const fromLeft = sheet.classList.contains(CLASSNAMES.SHEET_FROM_LEFT);
+    const reset = () => sheet.style.removeProperty('--ny-drag-offset');
+
+    return new SwipeGesture(sheet, {
+      axis: bottom ? 'y' : 'x',
+      // RTL では left / right が入れ替わる（CSS の [dir="rtl"] と同じ）
+      direction: () => {
+        if (bottom) return 1;
+        const rtl = getComputedStyle(sheet).direction === 'rtl';
+        return fromLeft !== rtl ? -1 : 1;
+      },
+      ...gestureThresholds(config),
+      canStart: (target, delta) => {
+        if (!bottom) return true;
+        const scroller = this._scrollParent(target, sheet);
+        if (!scroller) return true;
+        // 下向きは一番上にいるときだけ。上向きはスクロールに譲る
+        return delta > 0 && scroller.scrollTop <= 0;
+      },
+      onMove: (offset) => sheet.style.setProperty('--ny-drag-offset', `${offset}px`),
+      onEnd: ({ dismiss }) => {
+        if (!dismiss) {
+          reset();
+          return;
+        }
+        // 退出アニメーションは今の位置から始まる（@keyframes が --ny-drag-offset を読む）
+        requestClose().then((closed) => {
+          if (!closed) reset();
+        });
+      },
+    });
+  }
+
+  /**
+   * target から sheet までの間で縦にスクロールできる最初の要素
+   * @param {Element} target
+   * @param {HTMLElement} sheet
+   * @returns {HTMLElement | null}
+   * @private
+   */
+  _scrollParent(target, sheet) {
+    for (let el = /** @type {HTMLElement | null} */ (target); el; el = el.parentElement) {
+      if (el.scrollHeight > el.clientHeight) {
+        const { overflowY } = getComputedStyle(el);
+        if (overflowY === 'auto' || overflowY === 'scroll') return el;
+      }
+      if (el === sheet) break;
+    }
+    return null;
+  }
+}
+
+
+// ================================
+// SwipeGesture
+// ================================
+
+/**
+ * @typedef {Object} SwipeOptions
+ * @property {'x'|'y'} axis
+ * @property {1 | -1 | 0 | (() => 1 | -1 | 0)} direction  // 閉じる向き（+1: 右 / 下、-1: 左 / 上、0: どちらでも）
+ * @property {number} [distance]   // DEFAULTS.GESTURE.DISTANCE
+ * @property {number} [velocity]   // DEFAULTS.GESTURE.VELOCITY
+ * @property {(target: Element, delta: number) => boolean} [canStart]  // false ならスクロール等に譲る
+ * @property {() => void} [onStart]
+ * @property {(offset: number, progress: number) => void} [onMove]  // progress: 閾値に対する 0〜1
+ * @property {(release: { dismiss: boolean; offset: number; velocity: number; direction: 1 | -1 }) => void} [onEnd]  // velocity: px/ms（符号付き）
+ */
+
+/**
+ * 閉じない向きはゴムのように伸び、limit px で頭打ちになる
+ * @param {number} delta
+ * @param {number} [limit]
+ * @returns {number}
+ */
+const rubberBand = (delta, limit = DEFAULTS.GESTURE.RUBBER_BAND) =>
+  Math.sign(delta) * limit * (1 - Math.exp(-Math.abs(delta) / limit));
+
+/**
+ * config.gestures から閾値を取り出す（true なら既定値）
+ * @param {import('./core.js').KernelConfig} config
+ * @returns {{ distance: number; velocity: number }}
+ */
+const gestureThresholds = (config) => {
+  const g = typeof config?.gestures === 'object' && config.gestures ? config.gestures : {};
+  return {
+    distance: g.distance ?? DEFAULTS.GESTURE.DISTANCE,
+    velocity: g.velocity ?? DEFAULTS.GESTURE.VELOCITY,
+  };
+};
+
+/**
+ * 1 軸のドラッグ / フリック（pointer events）
+ * - SLOP を超えるまではタップ扱い。交差軸の方が大きければスクロールに譲る
+ * - 距離か速度のどちらかが閾値を超えたら dismiss: true で onEnd
+ * - ドラッグ直後の click は捨てる（ボタンの上から払っても押されない）
+ */
+export class SwipeGesture {
+  /**
+   * @param {HTMLElement} element
+   * @param {SwipeOptions} options
+   */
+  constructor(element, options) {
+    this.element = element;
+    this.options = options;
+
+    /** @type {{ id: number; x: number; y: number; target: Element } | null} */
+    this._start = null;
+    this._dragging = false;
+    this._offset = 0;
+    this._velocity = 0;
+    this._last = { delta: 0, time: 0 };
+
+    this._onDown = (e) => this._handleDown(e);
+    this._onMove = (e) => this._handleMove(e);
+    this._onUp = (e) => this._handleEnd(e, false);
+    this._onCancel = (e) => this._handleEnd(e, true);
+    // ドラッグ中はブラウザのスクロール（→ pointercancel）を始めさせない
+    this._onTouchMove = (e) => {
+      if (this._dragging && e.cancelable) e.preventDefault();
+    };
+
+    element.addEventListener('pointerdown', this._onDown);
+    element.addEventListener('pointermove', this._onMove);
+    element.addEventListener('pointerup', this._onUp);
+    element.addEventListener('pointercancel', this._onCancel);
+    element.addEventListener('touchmove', this._onTouchMove, { passive: false });
+  }
+
+  isDragging() {
+    return this._dragging;
+  }
+
+  destroy() {
+    const { element } = this;
+    element.removeEventListener('pointerdown', this._onDown);
+    element.removeEventListener('pointermove', this._onMove);
+    element.removeEventListener('pointerup', this._onUp);
+    element.removeEventListener('pointercancel', this._onCancel);
+    element.removeEventListener('touchmove', this._onTouchMove);
+    this._reset();
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @private
+   */
+  _handleDown(e) {
+    if (this._start || e.button !== 0 || e.isPrimary === false) return;
+    const target = /** @type {Element} */ (e.target);
+    // 入力中のテキスト選択は邪魔しない
+    if (target?.closest?.('input, textarea, select, [contenteditable="true"], [contenteditable=""]')) return;
+
+    this._start = { id: e.pointerId, x: e.clientX, y: e.clientY, target };
+    this._offset = 0;
+    this._velocity = 0;
+    this._last = { delta: 0, time: Date.now() };
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @private
+   */
+  _handleMove(e) {
+    const start = this._start;
+    if (!start || e.pointerId !== start.id) return;
+
+    const dx = e.clientX - start.x;
+    const dy = e.clientY - start.y;
+    const delta = this.options.axis === 'x' ? dx : dy;
+    const cross = this.options.axis === 'x' ? dy : dx;
+
+    if (!this._dragging) {
+      if (Math.abs(delta) < DEFAULTS.GESTURE.SLOP && Math.abs(cross) < DEFAULTS.GESTURE.SLOP) return;
+      if (
+        Math.abs(cross) > Math.abs(delta) ||
+        (this.options.canStart && !this.options.canStart(start.target, delta))
+      ) {
+        this._reset();
+        return;
+      }
+      this._dragging = true;
+      try {
+        this.element.setPointerCapture?.(e.pointerId);
+      } catch {
+        // 既に離された pointer など
+      }
+      this.element.classList.add(CLASSNAMES.DRAGGING);
+      Utils.safeExecute(this.options.onStart, null);
+    }
+
+    e.preventDefault?.();
+    const direction = this._direction();
+    this._offset =
+      direction === 0 || Math.sign(delta) === direction ? delta : rubberBand(delta);
+
+    const now = Date.now();
+    const dt = now - this._last.time;
+    if (dt > 0) {
+      this._velocity = (delta - this._last.delta) / dt;
+      this._last = { delta, time: now };
+    }
+
+    const progress = Math.min(1, Math.abs(this._offset) / this._threshold());
+    Utils.safeExecute(this.options.onMove, null, this._offset, progress);
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @param {boolean} cancelled
+   * @private
+   */
+  _handleEnd(e, cancelled) {
+    const start = this._start;
+    if (!start || e.pointerId !== start.id) return;
+
+    const dragging = this._dragging;
+    const offset = this._offset;
+    const velocity = this._velocity;
+    this._reset();
+    if (!dragging) return;
+
+    if (!cancelled) this._swallowClick();
+
+    const direction = this._direction() || (offset < 0 ? -1 : 1);
+    const along = offset * direction;
+    const dismiss =
+      !cancelled &&
+      (along >= this._threshold() ||
+        (velocity * direction >= (this.options.velocity ?? DEFAULTS.GESTURE.VELOCITY) &&
+          along > DEFAULTS.GESTURE.SLOP));
+
+    Utils.safeExecute(this.options.onEnd, null, { dismiss, offset, velocity, direction });
+  }
+
+  /**
+   * pointerup の直後に来る click を 1 回だけ止める（来なければ次のタスクで外す）
+   * @private
+   */
+  _swallowClick() {
+    const stop = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+    this.element.addEventListener('click', stop, { capture: true, once: true });
+    setTimeout(() => this.element.removeEventListener('click', stop, { capture: true }), 0);
+  }
+
+  /**
+   * @returns {1 | -1 | 0}
+   * @private
+   */
+  _direction() {
+    const { direction } = this.options;
+    return typeof direction === 'function' ? direction() : direction;
+  }
+
+  /**
+   * @returns {number} px
+   * @private
+   */
+  _threshold() {
+    const distance = this.options.distance ?? DEFAULTS.GESTURE.DISTANCE;
+    const size = this.options.axis === 'x' ? this.element.offsetWidth : this.element.offsetHeight;
+    const px = distance <= 1 ? distance * size : distance;
+    return Math.max(px, DEFAULTS.GESTURE.SLOP);
+  }
+
+  /**
+   * @private
+   */
+  _reset() {
+    const id = this._start?.id;
+    if (this._dragging && id !== undefined) {
+      try {
+        this.element.releasePointerCapture?.(id);
+      } catch {
+        // capture 済みでなければ何もしない
+      }
+    }
+    this.element.classList.remove(CLASSNAMES.DRAGGING);
+    this._start = null;
+    this._dragging = false;
+  }
+}
+
+
+// ================================
+// SheetSnapController
+// ================================
+
+/**
+ * bottom sheet の snapPoints（小さい順に並べ直す）
+ * - '25%' は viewport の高さに対する割合、数値 / '320px' は px
+ * - 有効な snap が 1 つも無ければ '100%' の 1 段だけにする
+ * - sheet の高さは一番大きい snap に固定し、見える量は --ny-snap-offset（translateY）で変える
+ * - 一番上まで開いたとき（.ny-expanded）だけ中身をスクロールさせる。それ以外はドラッグが優先
+ * - ハンドル: クリックで次の snap（最後なら最初へ）、↑ / ↓ で 1 段ずつ
+ */
+export class SheetSnapController {
+  /**
+   * @param {HTMLElement} sheet
+   * @param {(string|number)[]} snapPoints
+   * @param {{
+   *   initial?: number;
+   *   config: import('./core.js').KernelConfig;
+   *   eventManager: import('./state.js').EventManager;
+   *   requestClose: () => Promise<boolean>;
+   *   onChange?: (index: number, point: string|number) => void;
+   * }} options
+   */
+  constructor(sheet, snapPoints, options) {
+    this.sheet = sheet;
+    this.options = options;
+    const points = snapPoints
+      .filter((p) => Number.isFinite(this._toPx(p)))
+      .sort((a, b) => this._toPx(a) - this._toPx(b));
+    /** @type {(string|number)[]} */
+    this.points = points.length > 0 ? points : ['100%'];
+    /** @type {number[]} */
+    this.heights = [];
+    this.index = -1;
+    this.handle = /** @type {HTMLElement | null} */ (
+      sheet.querySelector(`.${CLASSNAMES.SHEET_HANDLE}`)
+    );
+
+    // kernel の destroy()（eventManager.clear()）でも外れるように eventManager 経由で付ける
+    this._unlistenResize = options.eventManager.listen(window, 'resize', () => {
+      this._measure();
+      this._apply();
+    });
+
+    this._onHandleClick = () => this.snapTo(this.index >= this.points.length - 1 ? 0 : this.index + 1);
+    this._onHandleKey = (e) => {
+      if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+      e.preventDefault();
+      this.snapTo(this.index + (e.key === 'ArrowUp' ? 1 : -1));
+    };
+    this.handle?.addEventListener('click', this._onHandleClick);
+    this.handle?.addEventListener('keydown', this._onHandleKey);
+
+    const thresholds = gestureThresholds(options.config);
+    this.gesture =
+      options.config?.gestures === false
+        ? null
+        : new SwipeGesture(sheet, {
+          axis: 'y',
+          direction: 0,
+          ...thresholds,
+          canStart: (target, delta) => this._canDrag(target, delta),
+          onMove: (offset) => this._setOffset(this._dragPosition(offset)),
+          onEnd: ({ offset, velocity }) => this._release(offset, velocity, thresholds),
+        });
+
+    this._measure();
+    const initial = Math.min(Math.max(Math.floor(options.initial ?? 0), 0), this.points.length - 1);
+    this.index = initial;
+    this._apply();
+  }
+
+  /**
+   * @param {number} index
+   * @returns {boolean} snap が変わったら true
+   */
+  snapTo(index) {
+    const next = Math.min(Math.max(Math.floor(Number(index) || 0), 0), this.points.length - 1);
+    const changed = next !== this.index;
+    this.index = next;
+    this._apply();
+    if (changed) Utils.safeExecute(this.options.onChange, null, next, this.points[next]);
+    return changed;
+  }
+
+  getIndex() {
+    return this.index;
+  }
+
+  isExpanded() {
+    return this.index === this.points.length - 1;
+  }
+
+  destroy() {
+    this._unlistenResize();
+    this.handle?.removeEventListener('click', this._onHandleClick);
+    this.handle?.removeEventListener('keydown', this._onHandleKey);
+    this.gesture?.destroy();
+    this.gesture = null;
+  }
+
+  /**
+   * @param {string|number} point
+   * @returns {number} px（viewport を超えない）
+   * @private
+   */
+  _toPx(point) {
+    const vh = window.innerHeight;
+    const px =
+      typeof point === 'string' && point.trim().endsWith('%')
+        ? (parseFloat(point) / 100) * vh
+        : parseFloat(String(point));
+    return Math.min(px, vh);
+  }
+
+  /**
+   * @private
+   */
+  _measure() {
+    this.heights = this.points.map((p) => this._toPx(p));
+    this.sheet.style.height = `${this._max()}px`;
+  }
+
+  /**
+   * @returns {number}
+   * @private
+   */
+  _max() {
+    return this.heights[this.heights.length - 1] || 0;
+  }
+
+  /**
+   * 今の snap の translateY
+   * @returns {number}
+   * @private
+   */
+  _base() {
+    return this._max() - (this.heights[this.index] || 0);
+  }
+
+  /**
+   * @private
+   */
+  _apply() {
+    this._setOffset(this._base());
+    const expanded = this.isExpanded();
+    this.sheet.classList.toggle(CLASSNAMES.EXPANDED, expanded);
+    this.sheet.setAttribute('data-ny-snap', String(this.index));
+    this.handle?.setAttribute('aria-expanded', String(expanded));
+  }
+
+  /**
+   * @param {number} px
+   * @private
+   */
+  _setOffset(px) {
+    this.sheet.style.setProperty('--ny-snap-offset', `${px}px`);
+  }
+
+  /**
+   * 一番上より上に引いた分はゴムで頭打ち
+   * @param {number} offset
+   * @returns {number}
+   * @private
+   */
+  _dragPosition(offset) {
+    const position = this._base() + offset;
+    return position < 0 ? rubberBand(position) : position;
+  }
+
+  /**
+   * @param {Element} target
+   * @param {number} delta
+   * @returns {boolean}
+   * @private
+   */
+  _canDrag(target, delta) {
+    if (!this.isExpanded() || this.handle?.contains(target)) return true;
+    // 全開のときは中身のスクロールが先。一番上で下に引いたときだけ sheet を動かす
+    const content = this.sheet.querySelector(`.${CLASSNAMES.SHEET_CONTENT}`);
+    return delta > 0 && (!content || content.scrollTop <= 0);
+  }
+
+  /**
+   * 速く払えば 1 段、そうでなければ近い snap へ。一番下の snap より十分下なら閉じる
+   * @param {number} offset
+   * @param {number} velocity
+   * @param {{ distance: number; velocity: number }} thresholds
+   * @private
+   */
+  _release(offset, velocity, thresholds) {
+    const visible = this._max() - (this._base() + offset);
+
+    let target;
+    if (Math.abs(velocity) >= thresholds.velocity) {
+      target = this.index + (velocity < 0 ? 1 : -1);
+    } else {
+      target = 0;
+      this.heights.forEach((h, i) => {
+        if (Math.abs(h - visible) < Math.abs(this.heights[target] - visible)) target = i;
+      });
+      const lowest = this.heights[0];
+      const closeDistance = thresholds.distance <= 1 ? thresholds.distance * lowest : thresholds.distance;
+      if (visible < lowest - closeDistance) target = -1;
+    }
+
+    if (target >= 0) {
+      this.snapTo(target);
+      return;
+    }
+    // 閉じる（拒否されたら今の snap に戻す）
+    this.options.requestClose().then((closed) => {
+      if (!closed) this._apply();
+    });
+  }
+}
+
+
+// ================================
+// ToastManager
+// ================================
+
+/**
+ * @typedef {Object} ToastOptions
+ * @property {string} [type]       // DEFAULTS.TOAST.TYPES
+ * @property {number} [duration]   // 0 以下 / Infinity で自動では閉じない
+ * @property {string} [position]   // DEFAULTS.TOAST.POSITIONS（省略時は config.toastPosition）
+ * @property {ToastAction[]} [actions]
+ * @property {boolean} [progress]   // 残り時間のバー（省略時は config.toastProgress）
+ * @property {boolean} [loading]    // 処理中表示（aria-busy）。toast.promise() が使う
+ * @property {string} [dedupeKey]   // 同じ key の toast が出ていれば新しく出さず ×N を数える
+ */
+
+/**
+ * @typedef {Object} ToastAction
+ * @property {string} label
+ * @property {string} [id]                    // 省略時は label。handle.promise の resolve 値になる
+ * @property {(handle: ToastHandle) => void} [onClick]
+ */
+
+/**
+ * @typedef {Object} Toast
+ * @property {string} id
+ * @property {HTMLElement} element
+ * @property {string} message
+ * @property {string} type
+ * @property {number} duration
+ * @property {string} position
+ * @property {'queued'|'visible'|'closed'} state
+ * @property {PausableTimer | null} timer   // 自動で閉じない toast は null
+ * @property {Set<string>} paused            // 'hover' / 'focus' / 'hidden' / 'swipe'（timer を作り直しても引き継ぐ）
+ * @property {boolean} progress
+ * @property {string | null} dedupeKey
+ * @property {number} count                  // dedupe でまとめた回数（1 = 単発）
+ * @property {ToastHandle | null} handle
+ * @property {Promise<string>} promise
+ * @property {(reason: string) => void} resolve
+ */
+
+/**
+ * @typedef {Object} ToastRegion
+ * @property {HTMLElement} element
+ * @property {Toast[]} visible   // 古い → 新しい
+ * @property {Toast[]} queue     // 表示待ち（maxToasts を超えた分）
+ */
+
+// ================================
+// ToastHandle
+// ================================
+
+/**
+ * toast() の戻り値
+ * promise は押された action の id / 'timeout' / 'dismissed' / 'swipe' で resolve する
+ */
+export class ToastHandle {
+  /**
+   * @param {ToastManager} toastManager
+   * @param {Toast} toast
+   */
+  constructor(toastManager, toast) {
+    this._toastManager = toastManager;
+    this._toast = toast;
+
+    this.id = toast.id;
+    this.element = toast.element;
+    /** @type {Promise<string>} */
+    this.promise = toast.promise;
+  }
+
+  isVisible() {
+    return this._toast.state === 'visible';
+  }
+
+  dismiss() {
+    this._toastManager.dismiss(this.id, 'dismissed');
+    return this;
+  }
+
+  /**
+   * 同じ要素のまま中身を差し替える（message / type / duration / loading）
+   * @param {ToastOptions & { message?: string }} options
+   */
+  update(options) {
+    this._toastManager.update(this.id, options);
+    return this;
+  }
+}
+
+
+const TOAST_TYPE_CLASSES = {
+  info: CLASSNAMES.TOAST_INFO,
+  success: CLASSNAMES.TOAST_SUCCESS,
+  error: CLASSNAMES.TOAST_ERROR,
+  warning: CLASSNAMES.TOAST_WARNING,
+};
+
+/**
+ * 位置（top-left 〜 bottom-right）ごとの region に toast を積む
+ * - region ごとに maxToasts まで表示し、超えた分は FIFO で待たせる
+ * - 縦位置は高さを測って --ny-toast-offset に書く（高さが違っても重ならない）
+ * - 自動クローズは hover / focus / タブ非表示の間止まる（プログレスバーも一緒に止まる）
+ * - dedupeKey が同じなら 1 枚にまとめ、type ごとの rate limit を超えた分は捨てる
+ * - 表示した toast は NotificationCenter にも残す（消えた後から見返せるように）
+ */
+export class ToastManager extends EventEmitter {
+  /**
+   * @param {import('./core.js').Logger} logger
+   * @param {import('./core.js').KernelConfig} config
+   * @param {any} intersectionManager
+   * @param {any} stateManager
+   * @param {import('./state.js').EventManager} eventManager
+   * @param {NotificationCenter | null} [notificationCenter=null]
+   */
+  constructor(logger, config, intersectionManager, stateManager, eventManager, notificationCenter = null) {
+    super();
+    this.logger = logger;
+    this.config = config;
+    this.intersectionManager = intersectionManager;
+    this.stateManager = stateManager;
+    this.eventManager = eventManager;
+    this.notificationCenter = notificationCenter;
+
+    /** @type {Map<string, ToastRegion>} */
+    this.regions = new Map();
+    /** @type {(() => void) | null} */
+    this._unlistenVisibility = null;
+    /** @type {Map<string, number[]>} type → 直近に出した時刻 */
+    this._recent = new Map();
+    this.stats = { merged: 0, dropped: 0 };
+  }
+
+  /**
+   * @param {string} message
+   * @param {string | ToastOptions} [typeOrOptions='info']
+   * @param {number} [duration]
+   * @returns {ToastHandle | undefined}
+   */
+  show(message, typeOrOptions = 'info', duration = DEFAULTS.TOAST.DURATION) {
+    if (typeof document === 'undefined') return undefined;
+
+    /** @type {ToastOptions} */
+    const options =
+      typeof typeOrOptions === 'object' && typeOrOptions !== null
+        ? typeOrOptions
+        : { type: typeOrOptions, duration };
+
+    const type = options.type || 'info';
+    const dedupeKey = options.dedupeKey ?? null;
+
+    if (dedupeKey !== null) {
+      const existing = this._findByKey(dedupeKey);
+      if (existing) {
+        this._merge(existing);
+        return existing.handle ?? undefined;
+      }
+    }
+
+    if (!this._allow(type)) {
+      this._record('dropped');
+      this.logger?.warn?.(`[ToastManager] rate limit: dropped "${type}" toast`);
+      return undefined;
+    }
+
+    const position = this._resolvePosition(options.position);
+    const actions = Array.isArray(options.actions) ? options.actions : [];
+
+    /** @type {(reason: string) => void} */
+    let resolve = () => {};
+    const promise = new Promise((r) => {
+      resolve = r;
+    });
+
+    /** @type {Toast} */
+    const toast = {
+      id: Utils.generateId(),
+      element: this._build(message, type, actions),
+      message: String(message),
+      type,
+      duration: options.duration ?? DEFAULTS.TOAST.DURATION,
+      position,
+      state: 'queued',
+      timer: null,
+      paused: new Set(),
+      progress: options.progress ?? !!this.config.toastProgress,
+      dedupeKey,
+      count: 1,
+      handle: null,
+      promise,
+      resolve,
+    };
+    const handle = new ToastHandle(this, toast);
+    toast.handle = handle;
+    this._bindInteractions(toast, actions, handle);
+    if (options.loading) toast.element.setAttribute('aria-busy', 'true');
+
+    const region = this._ensureRegion(position);
+    if (region.visible.length < this._getMax()) {
+      this._display(region, toast);
+    } else {
+      region.queue.push(toast);
+    }
+    return handle;
+  }
+
+  /**
+   * @param {string} id
+   * @param {string} [reason='dismissed']
+   * @returns {boolean}
+   */
+  dismiss(id, reason = 'dismissed') {
+    for (const region of this.regions.values()) {
+      const queued = region.queue.findIndex((t) => t.id === id);
+      if (queued !== -1) {
+        const [toast] = region.queue.splice(queued, 1);
+        toast.timer?.clear();
+        toast.state = 'closed';
+        toast.resolve(reason);
+        return true;
+      }
+
+      const toast = region.visible.find((t) => t.id === id);
+      if (toast) {
+        this._hide(region, toast, reason);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 表示中（または待機中）の toast を作り直さずに更新する
+   * - duration を渡すとタイマーを新しい値で張り直す
+   * - TOAST_SHOW / TOAST_HIDE は出さない（ライフサイクルは 1 回のまま）
+   * @param {string} id
+   * @param {ToastOptions & { message?: string }} [options={}]
+   * @returns {boolean}
+   */
+  update(id, options = {}) {
+    const toast = this._find(id);
+    if (!toast || toast.state === 'closed') return false;
+    const { element } = toast;
+
+    if ('message' in options) {
+      toast.message = String(options.message ?? '');
+      const text = element.querySelector(`.${CLASSNAMES.TOAST_MESSAGE}`);
+      if (text) text.textContent = toast.message;
+    }
+
+    if (options.type && options.type !== toast.type) {
+      element.classList.remove(TOAST_TYPE_CLASSES[toast.type]);
+      toast.type = options.type;
+      element.classList.add(TOAST_TYPE_CLASSES[toast.type]);
+      if (!element.querySelector(`.${CLASSNAMES.TOAST_ACTIONS}`)) {
+        element.setAttribute('role', toast.type === 'error' ? 'alert' : 'status');
+      }
+    }
+
+    if ('loading' in options) {
+      if (options.loading) element.setAttribute('aria-busy', 'true');
+      else element.removeAttribute('aria-busy');
+    }
+
+    if ('duration' in options) {
+      toast.duration = options.duration ?? DEFAULTS.TOAST.DURATION;
+      if (toast.state === 'visible') this._startTimer(toast);
+    }
+
+    if ('message' in options || options.type) {
+      this.notificationCenter?.update(toast.id, { message: toast.message, type: toast.type });
+    }
+
+    // 高さが変わるかもしれないので詰め直す
+    const region = this.regions.get(toast.position);
+    if (region && toast.state === 'visible') this._layout(region);
+    return true;
+  }
+
+  /**
+   * @returns {{ id: string; message: string; type: string; position: string; state: string }[]}
+   */
+  getToasts() {
+    const list = [];
+    for (const region of this.regions.values()) {
+      for (const t of [...region.visible, ...region.queue]) {
+        list.push({ id: t.id, message: t.message, type: t.type, position: t.position, state: t.state });
+      }
+    }
+    return list;
+  }
+
+  clearAll() {
+    for (const region of this.regions.values()) {
+      for (const toast of [...region.visible, ...region.queue]) {
+        toast.timer?.clear();
+        toast.state = 'closed';
+        toast.resolve('dismissed');
+      }
+      if (region.element.parentNode) {
+        region.element.parentNode.removeChild(region.element);
+      }
+    }
+    this.regions.clear();
+    this._recent.clear();
+    this._unlistenVisibility?.();
+    this._unlistenVisibility = null;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Toast | undefined}
+   * @private
+   */
+  _find(id) {
+    for (const region of this.regions.values()) {
+      const toast = [...region.visible, ...region.queue].find((t) => t.id === id);
+      if (toast) return toast;
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Toast | undefined}
+   * @private
+   */
+  _findByKey(key) {
+    for (const region of this.regions.values()) {
+      const toast = [...region.visible, ...region.queue].find((t) => t.dedupeKey === key);
+      if (toast) return toast;
+    }
+    return undefined;
+  }
+
+  /**
+   * 同じ dedupeKey の 2 回目以降。×N を更新してタイマーを最初から
+   * @param {Toast} toast
+   * @private
+   */
+  _merge(toast) {
+    toast.count += 1;
+    let badge = toast.element.querySelector(`.${CLASSNAMES.TOAST_COUNT}`);
+    if (!badge) {
+      badge = Utils.createElement('span', CLASSNAMES.TOAST_COUNT, { id: undefined });
+      toast.element.querySelector(`.${CLASSNAMES.TOAST_MESSAGE}`)?.after(badge);
+    }
+    badge.textContent = `×${toast.count}`;
+
+    if (toast.state === 'visible') this._startTimer(toast);
+    this.notificationCenter?.update(toast.id, { count: toast.count, read: false });
+    this._record('merged');
+  }
+
+  /**
+   * type ごとのスライディングウィンドウ。false なら常に通す
+   * @param {string} type
+   * @returns {boolean}
+   * @private
+   */
+  _allow(type) {
+    const limit = this.config.toastRateLimit;
+    if (!limit) return true;
+
+    const { max, window: span } = { ...limit, ...(limit.types?.[type] || {}) };
+    if (!Number.isFinite(max) || !Number.isFinite(span) || max <= 0) return true;
+
+    const now = Date.now();
+    const recent = (this._recent.get(type) || []).filter((t) => now - t < span);
+    if (recent.length >= max) {
+      this._recent.set(type, recent);
+      return false;
+    }
+    recent.push(now);
+    this._recent.set(type, recent);
+    return true;
+  }
+
+  /**
+   * @param {'merged' | 'dropped'} kind
+   * @private
+   */
+  _record(kind) {
+    this.stats[kind] += 1;
+    if (!this.stateManager || typeof this.stateManager.setState !== 'function') return;
+    this.stateManager.setState({ toastStats: { ...this.stats } });
+  }
+
+  /**
+   * @param {string} [position]
+   * @returns {string}
+   * @private
+   */
+  _resolvePosition(position) {
+    const { POSITIONS, DEFAULT_POSITION } = DEFAULTS.TOAST;
+    if (position && POSITIONS.includes(position)) return position;
+    if (position) this.logger.warn(`Unknown toast position "${position}"`);
+    const fallback = this.config.toastPosition;
+    return fallback && POSITIONS.includes(fallback) ? fallback : DEFAULT_POSITION;
+  }
+
+  /**
+   * @returns {number}
+   * @private
+   */
+  _getMax() {
+    return typeof this.config.maxToasts === 'number'
+      ? this.config.maxToasts
+      : DEFAULTS.TOAST.MAX_VISIBLE;
+  }
+
+  /**
+   * @param {string} position
+   * @returns {ToastRegion}
+   * @private
+   */
+  _ensureRegion(position) {
+    let region = this.regions.get(position);
+    if (region && region.element.isConnected) return region;
+
+    const element = Utils.createElement('div', CLASSNAMES.TOAST_CONTAINER, { id: undefined });
+    element.setAttribute('data-position', position);
+    Utils.getFloatingRoot().appendChild(element);
+
+    region = { element, visible: region?.visible || [], queue: region?.queue || [] };
+    this.regions.set(position, region);
+    return region;
+  }
+
+  /**
+   * action 付き / error は読み上げを割り込ませる（role="alert"）
+   * @param {string} message
+   * @param {string} type
+   * @param {ToastAction[]} actions
+   * @returns {HTMLElement}
+   * @private
+   */
+  _build(message, type, actions) {
+    const toast = Utils.createElement('div', [CLASSNAMES.TOAST, TOAST_TYPE_CLASSES[type]], {
+      id: undefined,
+      role: type === 'error' || actions.length > 0 ? 'alert' : 'status',
+    });
+    toast.setAttribute('aria-atomic', 'true');
+    toast.appendChild(
+      Utils.createElement('span', CLASSNAMES.TOAST_MESSAGE, { id: undefined, text: message }),
+    );
+
+    if (actions.length > 0) {
+      const bar = Utils.createElement('div', CLASSNAMES.TOAST_ACTIONS, { id: undefined });
+      actions.forEach((action, index) => {
+        const button = Utils.createElement('button', CLASSNAMES.TOAST_ACTION, {
+          id: undefined,
+          type: 'button',
+          text: action.label,
+        });
+        button.setAttribute('data-ny-action-index', String(index));
+        bar.appendChild(button);
+      });
+      toast.appendChild(bar);
+    }
+    return toast;
+  }
+
+  /**
+   * - action ボタン: onClick → その action の id で閉じる
+   * - フォーカスが中にある間はタイマーを止める（読んで押すまでに消えない）
+   * - 中で closeKey を押したら dismissed で閉じる
+   * @param {Toast} toast
+   * @param {ToastAction[]} actions
+   * @param {ToastHandle} handle
+   * @private
+   */
+  _bindInteractions(toast, actions, handle) {
+    const { element } = toast;
+
+    if (actions.length > 0) {
+      element.addEventListener('click', (e) => {
+        const button = /** @type {Element} */ (e.target)?.closest?.(`.${CLASSNAMES.TOAST_ACTION}`);
+        if (!button || toast.state !== 'visible') return;
+        const action = actions[Number(button.getAttribute('data-ny-action-index'))];
+        if (!action) return;
+        Utils.safeExecute(action.onClick, null, handle);
+        this.dismiss(toast.id, action.id ?? action.label);
+      });
+    }
+
+    element.addEventListener('mouseenter', () => this._pause(toast, 'hover'));
+    element.addEventListener('mouseleave', () => this._resume(toast, 'hover'));
+    element.addEventListener('focusin', () => this._pause(toast, 'focus'));
+    element.addEventListener('focusout', (e) => {
+      if (!element.contains(/** @type {Node} */ (e.relatedTarget))) this._resume(toast, 'focus');
+    });
+    element.addEventListener('keydown', (e) => {
+      const closeKey = this.config?.shortcuts?.closeKey ?? 'Escape';
+      if (e.key !== closeKey) return;
+      // 下のモーダルまで閉じないように
+      e.preventDefault();
+      this.dismiss(toast.id, 'dismissed');
+    });
+
+    // 横に払って閉じる。ドラッグ中はタイマーを止める
+    if (this.config?.gestures === false) return;
+    const setDrag = (offset, progress) => {
+      element.style.setProperty('--ny-drag-offset', `${offset}px`);
+      element.style.setProperty('--ny-drag-progress', String(progress));
+    };
+    new SwipeGesture(element, {
+      axis: 'x',
+      direction: 0,
+      ...gestureThresholds(this.config),
+      canStart: () => toast.state === 'visible',
+      onStart: () => this._pause(toast, 'swipe'),
+      onMove: setDrag,
+      onEnd: ({ dismiss, direction }) => {
+        this._resume(toast, 'swipe');
+        if (!dismiss || toast.state !== 'visible') {
+          element.style.removeProperty('--ny-drag-offset');
+          element.style.removeProperty('--ny-drag-progress');
+          return;
+        }
+        // 払った向きへそのまま抜ける
+        setDrag(direction * element.offsetWidth, 1);
+        this.dismiss(toast.id, 'swipe');
+      },
+    });
+  }
+
+  /**
+   * @param {Toast} toast
+   * @param {string} reason  // 'hover' | 'focus' | 'hidden' | 'swipe'
+   * @private
+   */
+  _pause(toast, reason) {
+    toast.paused.add(reason);
+    if (!toast.timer) return;
+    toast.timer.pause(reason);
+    toast.element.classList.toggle(CLASSNAMES.PAUSED, toast.timer.isPaused());
+  }
+
+  /**
+   * @param {Toast} toast
+   * @param {string} reason
+   * @private
+   */
+  _resume(toast, reason) {
+    toast.paused.delete(reason);
+    if (!toast.timer) return;
+    toast.timer.resume(reason);
+    toast.element.classList.toggle(CLASSNAMES.PAUSED, toast.timer.isPaused());
+  }
+
+  /**
+   * 自動クローズのタイマー（とプログレスバー）を今の duration で張り直す
+   * @param {Toast} toast
+   * @private
+   */
+  _startTimer(toast) {
+    const { element } = toast;
+    toast.timer?.clear();
+    toast.timer = null;
+    element.querySelector(`.${CLASSNAMES.TOAST_PROGRESS}`)?.remove();
+
+    const { duration } = toast;
+    if (Number.isFinite(duration) && duration > 0) {
+      toast.timer = new PausableTimer(() => this.dismiss(toast.id, 'timeout'), duration);
+      toast.paused.forEach((reason) => toast.timer?.pause(reason));
+      toast.timer.start();
+
+      if (toast.progress) {
+        element.style.setProperty('--ny-toast-duration', `${duration}ms`);
+        element.appendChild(
+          Utils.createElement('div', CLASSNAMES.TOAST_PROGRESS, { id: undefined, 'aria-hidden': 'true' }),
+        );
+      }
+    }
+    element.classList.toggle(CLASSNAMES.PAUSED, !!toast.timer?.isPaused());
+  }
+
+  /**
+   * タブが裏に回っている間は全部止める
+   * @private
+   */
+  _handleVisibilityChange() {
+    const hidden = document.visibilityState === 'hidden';
+    for (const region of this.regions.values()) {
+      for (const toast of region.visible) {
+        if (hidden) this._pause(toast, 'hidden');
+        else this._resume(toast, 'hidden');
+      }
+    }
+  }
+
+  /**
+   * @param {ToastRegion} region
+   * @param {Toast} toast
+   * @private
+   */
+  _display(region, toast) {
+    toast.state = 'visible';
+    region.visible.push(toast);
+    region.element.appendChild(toast.element);
+    this._layout(region);
+    Utils.nextFrame(() => {
+      if (toast.state === 'visible') toast.element.classList.add(CLASSNAMES.VISIBLE);
+    });
+
+    if (document.visibilityState === 'hidden') toast.paused.add('hidden');
+    this._startTimer(toast);
+    this.notificationCenter?.record(toast);
+    if (!this._unlistenVisibility) {
+      this._unlistenVisibility = this.eventManager.listen(document, 'visibilitychange', () =>
+        this._handleVisibilityChange()
+      );
+    }
+
+    this.emit(DEFAULTS.EVENTS.TOAST_SHOW, {
+      id: toast.id,
+      message: toast.message,
+      type: toast.type,
+      position: toast.position,
+    });
+  }
+
+  /**
+   * @param {ToastRegion} region
+   * @param {Toast} toast
+   * @param {string} reason
+   * @private
+   */
+  _hide(region, toast, reason) {
+    toast.timer?.clear();
+    region.visible.splice(region.visible.indexOf(toast), 1);
+    toast.state = 'closed';
+    toast.resolve(reason);
+
+    // 残りを詰めてから空いた枠に待ち行列の先頭を出す
+    this._layout(region);
+    while (region.queue.length > 0 && region.visible.length < this._getMax()) {
+      this._display(region, /** @type {Toast} */ (region.queue.shift()));
+    }
+
+    const { element } = toast;
+    const remove = () => {
+      if (element.parentNode) element.parentNode.removeChild(element);
+      this.emit(DEFAULTS.EVENTS.TOAST_HIDE, {
+        id: toast.id,
+        message: toast.message,
+        type: toast.type,
+        position: toast.position,
+        reason,
+      });
+    };
+
+    element.classList.remove(CLASSNAMES.VISIBLE);
+    const duration = Utils.motionEnabled(this.config)
+      ? (element.classList.add(CLASSNAMES.CLOSING), Utils.getAnimationDuration(element))
+      : 0;
+    if (duration <= 0) remove();
+    else Utils.waitForAnimation(element, duration).then(remove);
+  }
+
+  /**
+   * 新しい toast を region の端（top-* なら上、bottom-* なら下）に置き、古いものをずらす
+   * @param {ToastRegion} region
+   * @private
+   */
+  _layout(region) {
+    const fromBottom = region.element.getAttribute('data-position')?.startsWith('bottom');
+    let offset = 0;
+    for (const toast of region.visible.slice().reverse()) {
+      toast.element.style.setProperty('--ny-toast-offset', `${fromBottom ? -offset : offset}px`);
+      offset += toast.element.offsetHeight + DEFAULTS.TOAST.GAP;
+    }
+  }
+}
+
+
+// ================================
+// NotificationCenter
+// ================================
+
+/**
+ * @typedef {Object} NotificationEntry
+ * @property {string} id         // 元の toast の id
+ * @property {string} message
+ * @property {string} type
+ * @property {number} count      // dedupeKey でまとめた回数
+ * @property {number} timestamp  // 最初に表示した時刻 (ms)
+ * @property {boolean} read
+ */
+
+/**
+ * 表示した toast の履歴（古いものから CircularBuffer で押し出す）
+ * - 変わるたびに NOTIFICATIONS_CHANGE を出す（未読バッジや開いているシートの再描画用）
+ */
+export class NotificationCenter extends EventEmitter {
+  /**
+   * @param {number} [limit=50]
+   */
+  constructor(limit = 50) {
+    super();
+    const n = Number(limit);
+    /** @type {CircularBuffer<NotificationEntry>} */
+    this.entries = new CircularBuffer(Number.isFinite(n) && n > 0 ? Math.floor(n) : 50);
+  }
+
+  /**
+   * @param {{ id: string; message: string; type: string; count?: number }} toast
+   */
+  record(toast) {
+    this.entries.push({
+      id: toast.id,
+      message: toast.message,
+      type: toast.type,
+      count: toast.count ?? 1,
+      timestamp: Date.now(),
+      read: false,
+    });
+    this._changed();
+  }
+
+  /**
+   * toast.update() / dedupe の反映。押し出し済みなら何もしない
+   * @param {string} id
+   * @param {Partial<NotificationEntry>} patch
+   * @returns {boolean}
+   */
+  update(id, patch) {
+    const entry = this.entries.toArray().find((e) => e.id === id);
+    if (!entry) return false;
+    Object.assign(entry, patch, { id: entry.id, timestamp: entry.timestamp });
+    this._changed();
+    return true;
+  }
+
+  /**
+   * @param {string} [id]  // 省略時は全部
+   */
+  markRead(id) {
+    let changed = false;
+    for (const entry of this.entries.toArray()) {
+      if (entry.read || (id !== undefined && entry.id !== id)) continue;
+      entry.read = true;
+      changed = true;
+    }
+    if (changed) this._changed();
+  }
+
+  clear() {
+    if (this.entries.length === 0) return;
+    this.entries.clear();
+    this._changed();
+  }
+
+  /**
+   * @returns {NotificationEntry[]}  // 古い → 新しい（コピー）
+   */
+  getAll() {
+    return this.entries.toArray().map((e) => ({ ...e }));
+  }
+
+  /**
+   * @returns {number}
+   */
+  getUnreadCount() {
+    return this.entries.toArray().filter((e) => !e.read).length;
+  }
+
+  /**
+   * @private
+   */
+  _changed() {
+    this.emit(DEFAULTS.EVENTS.NOTIFICATIONS_CHANGE, {
+      total: this.entries.length,
+      unread: this.getUnreadCount(),
+    });
+  }
+}
+
+/**
+ * NotificationCenter の一覧（シートの中身）
+ * - 新しい順。未読は .ny-unread、クリックで既読
+ * - ヘッダーの「既読にする」「すべて消去」は NotificationCenter を直接触る
+ */
+export class NotificationsBuilder {
+  /**
+   * @param {NotificationCenter} notificationCenter
+   */
+  constructor(notificationCenter) {
+    this.notificationCenter = notificationCenter;
+  }
+
+  /**
+   * @param {{
+   *   title?: string;
+   *   markReadLabel?: string;
+   *   clearLabel?: string;
+   *   emptyLabel?: string;
+   * }} [options={}]
+   * @returns {HTMLElement}
+   */
+  build(options = {}) {
+    const {
+      title = 'Notifications',
+      markReadLabel = 'Mark all as read',
+      clearLabel = 'Clear all',
+      emptyLabel = 'No notifications',
+    } = options;
+    const center = this.notificationCenter;
+
+    const root = Utils.createElement('section', CLASSNAMES.NOTIFICATIONS, { id: undefined });
+    const header = Utils.createElement('header', CLASSNAMES.NOTIFICATIONS_HEADER, { id: undefined });
+    const heading = Utils.createElement('h2', null, { text: title, id: Utils.generateId() });
+    const markRead = Utils.createElement('button', null, { type: 'button', text: markReadLabel });
+    const clear = Utils.createElement('button', null, { type: 'button', text: clearLabel });
+    markRead.dataset.nyAction = 'mark-read';
+    clear.dataset.nyAction = 'clear';
+    markRead.addEventListener('click', () => center.markRead());
+    clear.addEventListener('click', () => center.clear());
+    header.append(heading, markRead, clear);
+
+    const list = Utils.createElement('ul', CLASSNAMES.NOTIFICATIONS_LIST, { id: undefined });
+    list.addEventListener('click', (e) => {
+      const item = /** @type {HTMLElement | null} */ (
+        /** @type {Element} */ (e.target).closest?.(`.${CLASSNAMES.NOTIFICATION}`)
+      );
+      if (item?.dataset.id) center.markRead(item.dataset.id);
+    });
+
+    const empty = Utils.createElement('p', CLASSNAMES.NOTIFICATIONS_EMPTY, {
+      id: undefined,
+      text: emptyLabel,
+    });
+
+    root.setAttribute('aria-labelledby', heading.id);
+    root.append(header, list, empty);
+    this.render(root);
+    return root;
+  }
+
+  /**
+   * 今の履歴で list を描き直す
+   * @param {HTMLElement} root
+   */
+  render(root) {
+    const list = root.querySelector(`.${CLASSNAMES.NOTIFICATIONS_LIST}`);
+    const empty = /** @type {HTMLElement | null} */ (
+      root.querySelector(`.${CLASSNAMES.NOTIFICATIONS_EMPTY}`)
+    );
+    if (!list) return;
+
+    const entries = this.notificationCenter.getAll().reverse();
+    list.replaceChildren(...entries.map((entry) => this._buildItem(entry)));
+    if (empty) empty.hidden = entries.length > 0;
+
+    root.querySelectorAll('[data-ny-action]').forEach((btn) => {
+      /** @type {HTMLButtonElement} */ (btn).disabled = entries.length === 0;
+    });
+  }
+
+  /**
+   * @param {NotificationEntry} entry
+   * @returns {HTMLElement}
+   * @private
+   */
+  _buildItem(entry) {
+    const item = Utils.createElement(
+      'li',
+      [CLASSNAMES.NOTIFICATION, TOAST_TYPE_CLASSES[entry.type], !entry.read && CLASSNAMES.UNREAD],
+      { id: undefined },
+    );
+    item.dataset.id = entry.id;
+    item.dataset.type = entry.type;
+
+    const message = Utils.createElement('span', CLASSNAMES.TOAST_MESSAGE, {
+      id: undefined,
+      text: entry.message,
+    });
+    item.appendChild(message);
+    if (entry.count > 1) {
+      item.appendChild(
+        Utils.createElement('span', CLASSNAMES.TOAST_COUNT, { id: undefined, text: `×${entry.count}` }),
+      );
+    }
+
+    const date = new Date(entry.timestamp);
+    const time = Utils.createElement('time', null, { text: date.toLocaleTimeString() });
+    time.setAttribute('datetime', date.toISOString());
+    item.appendChild(time);
+    return item;
+  }
+}
+
+
+// ================================
+// LoaderBuilder
+// ================================
+
+/**
+ * @typedef {Object} LoaderOptions
+ * @property {string} [text]
+ * @property {number | null} [progress]   // 0〜1。省略 / null ならスピナー（不確定）
+ * @property {boolean} [cancelable]       // Cancel ボタンを出す（Escape でもキャンセル）
+ * @property {string} [cancelLabel]
+ * @property {() => void} [onCancel]      // Cancel ボタンが押されたとき（LoaderBuilder 用）
+ */
+
+export class LoaderBuilder {
+  /**
+   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   */
+  constructor(htmlSanitizer) {
+    this.htmlSanitizer = htmlSanitizer;
+  }
+
+  /**
+   * @param {string | LoaderOptions} [textOrOptions='']
+   * @returns {HTMLElement}
+   */
+  build(textOrOptions = '') {
+    /** @type {LoaderOptions} */
+    const options =
+      typeof textOrOptions === 'object' && textOrOptions !== null
+        ? textOrOptions
+        : { text: textOrOptions };
+
+    // busy() で同時に複数出るので id は付けない
+    const root = Utils.createElement('div', CLASSNAMES.LOADER, { id: undefined });
+    root.setAttribute('aria-busy', 'true');
+    const spinner = Utils.createElement('div', CLASSNAMES.SPINNER, { id: undefined });
+    root.appendChild(spinner);
+
+    if (options.text) this.update(root, { text: options.text });
+    if (options.progress != null) this.update(root, { progress: options.progress });
+
+    if (options.cancelable) {
+      const cancel = Utils.createElement('button', CLASSNAMES.LOADER_CANCEL, {
+        type: 'button',
+        text: options.cancelLabel ?? 'Cancel',
+      });
+      cancel.addEventListener('click', () => Utils.safeExecute(options.onCancel, null));
+      root.appendChild(cancel);
+    }
+
+    return root;
+  }
+
+  /**
+   * 文言 / 進捗だけ差し替える
+   * - progress に数値を渡すとスピナーを外して role="progressbar" のバーに切り替える
+   * - null を渡すとスピナー（不確定）に戻す
+   * @param {HTMLElement} root
+   * @param {{ text?: string; progress?: number | null }} [options={}]
+   */
+  update(root, options = {}) {
+    if (!root) return;
+
+    if ('text' in options) {
+      let label = root.querySelector(`.${CLASSNAMES.LOADER_TEXT}`);
+      if (!label) {
+        label = Utils.createElement('div', CLASSNAMES.LOADER_TEXT, { id: Utils.generateId() });
+        const cancel = root.querySelector(`.${CLASSNAMES.LOADER_CANCEL}`);
+        root.insertBefore(label, cancel);
+        root.querySelector(`.${CLASSNAMES.PROGRESS}`)?.setAttribute('aria-labelledby', label.id);
+      }
+      label.textContent = options.text ?? '';
+    }
+
+    if ('progress' in options) {
+      const spinner = /** @type {HTMLElement | null} */ (root.querySelector(`.${CLASSNAMES.SPINNER}`));
+      let bar = /** @type {HTMLElement | null} */ (root.querySelector(`.${CLASSNAMES.PROGRESS}`));
+
+      if (options.progress == null || !Number.isFinite(Number(options.progress))) {
+        bar?.remove();
+        if (spinner) spinner.hidden = false;
+        return;
+      }
+
+      if (!bar) {
+        bar = Utils.createElement('div', CLASSNAMES.PROGRESS, {
+          id: undefined,
+          role: 'progressbar',
+          'aria-valuemin': '0',
+          'aria-valuemax': '100',
+        });
+        bar.appendChild(Utils.createElement('div', CLASSNAMES.PROGRESS_BAR, { id: undefined }));
+        const label = root.querySelector(`.${CLASSNAMES.LOADER_TEXT}`);
+        if (label) bar.setAttribute('aria-labelledby', label.id);
+        else bar.setAttribute('aria-label', 'Loading');
+        root.insertBefore(bar, spinner ? spinner.nextSibling : root.firstChild);
+      }
+      if (spinner) spinner.hidden = true;
+
+      const value = Math.min(Math.max(Number(options.progress), 0), 1);
+      bar.setAttribute('aria-valuenow', String(Math.round(value * 100)));
+      bar.style.setProperty('--ny-progress', String(value));
+    }
+  }
+}
+
+/**
+ * loader({ ... }) の戻り値
+ * - signal は Cancel ボタン / Escape / cancel() で abort される。fetch などにそのまま渡す
+ * - close() は「終わった」扱いなので abort しない
+ */
+export class LoaderHandle {
+  /**
+   * @param {LoaderSlot} slot - LoaderManager.open() の戻り値
+   * @param {LoaderBuilder} loaderBuilder
+   * @param {AbortController} controller
+   */
+  constructor(slot, loaderBuilder, controller) {
+    this._slot = slot;
+    this._loaderBuilder = loaderBuilder;
+    this._controller = controller;
+    this._done = false;
+
+    this.id = slot.id;
+    this.element = slot.element;
+    /** @type {AbortSignal} */
+    this.signal = controller.signal;
+    /** @type {Promise<void>} */
+    this.closed = slot.closed;
+
+    // close() 以外（destroy など）で閉じられたらキャンセル扱い
+    slot.closed.then(() => {
+      if (!this._done) this._controller.abort('dismissed');
+    });
+  }
+
+  /**
+   * @param {number | null} value  // 0〜1。null で不確定に戻す
+   * @returns {this}
+   */
+  setProgress(value) {
+    if (this.isOpen()) this._loaderBuilder.update(this.element, { progress: value });
+    return this;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {this}
+   */
+  setText(text) {
+    if (this.isOpen()) this._loaderBuilder.update(this.element, { text });
+    return this;
+  }
+
+  isOpen() {
+    return this._slot.isOpen();
+  }
+
+  isCancelled() {
+    return this.signal.aborted;
+  }
+
+  /**
+   * @param {any} [reason='cancel']
+   * @returns {this}
+   */
+  cancel(reason = 'cancel') {
+    if (this.signal.aborted) return this;
+    this._controller.abort(reason);
+    this._done = true;
+    this._slot.close();
+    return this;
+  }
+
+  /**
+   * @returns {this}
+   */
+  close() {
+    this._done = true;
+    this._slot.close();
+    return this;
+  }
+}
+
+
+// ================================
+// LoaderManager
+// ================================
+
+/**
+ * @typedef {Object} LoaderSlot
+ * @property {string} id
+ * @property {HTMLElement} element         // .ny-loader（枠ではなく中身）
+ * @property {Promise<void>} closed
+ * @property {() => boolean} isOpen
+ * @property {() => void} close
+ */
+
+/**
+ * 全画面 loader の専用枠（LayerManager のスタックには積まない）
+ * - track() / acquire() は参照カウント。最後の 1 つが終わったときだけ隠す
+ * - config.loaderDelay より早く終われば出さない / 出したら config.loaderMinDuration は出しておく
+ * - show() / hide() は loader(true) / loader(false) 用の手動フラグ（delay / minDuration なしで即出し、即消す）
+ * - open() は進捗 / キャンセル付きの loader。1 つずつ別の枠で出す
+ * - 出ている間はフォーカスを枠に閉じ込め、closeKey も下のレイヤーに届かせない
+ */
+export class LoaderManager extends EventEmitter {
+  /**
+   * @param {import('./core.js').KernelConfig} config
+   * @param {LoaderBuilder} loaderBuilder
+   * @param {ScrollLockManager | null} [scrollLock=null]
+   */
+  constructor(config, loaderBuilder, scrollLock = null) {
+    super();
+    this.config = config;
+    this.loaderBuilder = loaderBuilder;
+    this.scrollLock = scrollLock;
+
+    this.count = 0;
+    this.manual = false;
+    this.text = '';
+
+    /** @type {HTMLElement | null} */
+    this.element = null;
+    /** @type {FocusTrap | null} */
+    this.focusTrap = null;
+    this.shownAt = 0;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this._delayTimer = null;
+    /** @type {ReturnType<typeof setTimeout> | null} */
+    this._hideTimer = null;
+
+    /**
+     * open() で出した枠（後ろほど上）
+     * @type {Array<{ id: string; slot: HTMLElement; focusTrap: FocusTrap; cancelable: boolean; onCancel?: () => void; resolveClosed: () => void }>}
+     */
+    this.slots = [];
+  }
+
+  /**
+   * 進捗 / キャンセル付きの loader を出す（delay / minDuration は効かない）
+   * @param {LoaderOptions} options - onCancel は Cancel ボタン / closeKey（cancelable のとき）で呼ぶ
+   * @returns {LoaderSlot}
+   */
+  open(options) {
+    const id = Utils.generateId();
+    const loader = this.loaderBuilder.build(options);
+    /** @type {() => void} */
+    let resolveClosed = () => {};
+    /** @type {Promise<void>} */
+    const closed = new Promise((resolve) => { resolveClosed = resolve; });
+
+    const { slot, focusTrap } = this._mountSlot(loader, options.text, () => {
+      if (options.cancelable) Utils.safeExecute(options.onCancel, null);
+    });
+    const entry = {
+      id,
+      slot,
+      focusTrap,
+      cancelable: !!options.cancelable,
+      onCancel: options.onCancel,
+      resolveClosed,
+    };
+    this.slots.push(entry);
+    this.emit(DEFAULTS.EVENTS.LOADER_SHOW, { id, text: options.text ?? '' });
+
+    return {
+      id,
+      element: loader,
+      closed,
+      isOpen: () => this.slots.includes(entry),
+      close: () => this._closeSlot(entry),
+    };
+  }
+
+  /**
+   * document で受けた closeKey（kernel から）
+   * - 一番上の open() の枠がキャンセル可ならキャンセル
+   * - 枠が出ている間は下のレイヤーを閉じさせない
+   * @returns {boolean} 握りつぶしたら true
+   */
+  handleCloseKey() {
+    const top = this.slots[this.slots.length - 1];
+    if (top) {
+      if (top.cancelable) Utils.safeExecute(top.onCancel, null);
+      return true;
+    }
+    return this.isVisible();
+  }
+
+  /**
+   * 参照を 1 つ取る。戻り値を呼ぶと返す（何度呼んでも 1 回分）
+   * @param {string} [text]
+   * @returns {() => void}
+   */
+  acquire(text) {
+    this.count++;
+    this._setText(text);
+    this._update(false);
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.count = Math.max(0, this.count - 1);
+      this._update(false);
+    };
+  }
+
+  /**
+   * Promise（または Promise を返す関数）が終わるまで loader を出す
+   * @template T
+   * @param {Promise<T> | (() => Promise<T>)} task
+   * @param {{ text?: string }} [options={}]
+   * @returns {Promise<T>} 元の結果をそのまま返す
+   */
+  track(task, options = {}) {
+    const release = this.acquire(options.text);
+    /** @type {Promise<T>} */
+    let promise;
+    try {
+      promise = Promise.resolve(typeof task === 'function' ? task() : task);
+    } catch (err) {
+      release();
+      return Promise.reject(err);
+    }
+    promise.then(release, release);
+    return promise;
+  }
+
+  /**
+   * @param {string} [text]
+   */
+  show(text) {
+    this.manual = true;
+    this._setText(text);
+    this._update(true);
+  }
+
+  hide() {
+    this.manual = false;
+    // track() / acquire() がまだ残っていればそちらに任せる
+    if (this.isBusy()) return;
+    this._clearTimers();
+    this._hide();
+  }
+
+  /**
+   * 処理中か（表示中かどうかではない。delay / minDuration の間はずれる）
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.manual || this.count > 0;
+  }
+
+  isVisible() {
+    return this.element !== null;
+  }
+
+  /**
+   * 全部なかったことにして即座に外す（destroy 用）
+   */
+  reset() {
+    this.count = 0;
+    this.manual = false;
+    this._clearTimers();
+    this._hide();
+    [...this.slots].forEach((entry) => this._closeSlot(entry));
+  }
+
+  /**
+   * @param {boolean} immediate - delay を待たずに出す
+   * @private
+   */
+  _update(immediate) {
+    if (this.isBusy()) {
+      // minDuration 待ちの間に次が来たら出しっぱなしにする
+      if (this._hideTimer) {
+        clearTimeout(this._hideTimer);
+        this._hideTimer = null;
+      }
+      if (this.isVisible()) return;
+
+      const delay = Number(this.config?.loaderDelay) || 0;
+      if (immediate || delay <= 0) {
+        this._clearTimers();
+        this._show();
+      } else if (!this._delayTimer) {
+        this._delayTimer = setTimeout(() => {
+          this._delayTimer = null;
+          if (this.isBusy()) this._show();
+        }, delay);
+      }
+      return;
+    }
+
+    if (this._delayTimer) {
+      clearTimeout(this._delayTimer);
+      this._delayTimer = null;
+    }
+    if (!this.isVisible() || this._hideTimer) return;
+
+    const remaining = (Number(this.config?.loaderMinDuration) || 0) - (Date.now() - this.shownAt);
+    if (remaining > 0) {
+      this._hideTimer = setTimeout(() => {
+        this._hideTimer = null;
+        if (!this.isBusy()) this._hide();
+      }, remaining);
+    } else {
+      this._hide();
+    }
+  }
+
+  /**
+   * @param {string} [text]
+   * @private
+   */
+  _setText(text) {
+    if (text == null) return;
+    this.text = String(text);
+    const loader = this.element?.querySelector(`.${CLASSNAMES.LOADER}`);
+    if (loader) this.loaderBuilder.update(/** @type {HTMLElement} */ (loader), { text: this.text });
+    this.element?.setAttribute('aria-label', this.text || 'Loading');
+  }
+
+  /**
+   * @private
+   */
+  _show() {
+    if (this.element) return;
+
+    const { slot, focusTrap } = this._mountSlot(this.loaderBuilder.build(this.text), this.text);
+    this.element = slot;
+    this.focusTrap = focusTrap;
+    this.shownAt = Date.now();
+    this.emit(DEFAULTS.EVENTS.LOADER_SHOW, { text: this.text });
+  }
+
+  /**
+   * @private
+   */
+  _hide() {
+    const slot = this.element;
+    if (!slot) return;
+    this.element = null;
+
+    this._unmountSlot(slot, this.focusTrap);
+    this.focusTrap = null;
+    this.emit(DEFAULTS.EVENTS.LOADER_HIDE, {});
+  }
+
+  /**
+   * @param {{ id: string; slot: HTMLElement; focusTrap: FocusTrap; resolveClosed: () => void }} entry
+   * @private
+   */
+  _closeSlot(entry) {
+    const index = this.slots.indexOf(entry);
+    if (index === -1) return;
+    this.slots.splice(index, 1);
+
+    this._unmountSlot(entry.slot, entry.focusTrap);
+    this.emit(DEFAULTS.EVENTS.LOADER_HIDE, { id: entry.id });
+    entry.resolveClosed();
+  }
+
+  /**
+   * 枠（.ny-loader-slot）を作って floating root に出し、フォーカスを閉じ込める
+   * @param {HTMLElement} loader
+   * @param {string | undefined} label
+   * @param {() => void} [onCloseKey]
+   * @returns {{ slot: HTMLElement; focusTrap: FocusTrap }}
+   * @private
+   */
+  _mountSlot(loader, label, onCloseKey) {
+    const slot = Utils.createElement('div', CLASSNAMES.LOADER_SLOT, {
+      id: undefined,
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-busy': 'true',
+      'aria-label': label || 'Loading',
+    });
+    slot.appendChild(loader);
+    // 下のレイヤーの Escape で閉じさせない
+    slot.addEventListener('keydown', (e) => {
+      if (e.key !== (this.config?.shortcuts?.closeKey ?? 'Escape')) return;
+      e.preventDefault();
+      onCloseKey?.();
+    });
+
+    Utils.getFloatingRoot().appendChild(slot);
+    this.scrollLock?.lock();
+
+    const focusTrap = new FocusTrap(slot);
+    focusTrap.activate();
+    Utils.nextFrame(() => {
+      if (slot.isConnected) slot.classList.add(CLASSNAMES.VISIBLE);
+    });
+    return { slot, focusTrap };
+  }
+
+  /**
+   * @param {HTMLElement} slot
+   * @param {FocusTrap | null} focusTrap
+   * @private
+   */
+  _unmountSlot(slot, focusTrap) {
+    focusTrap?.release();
+    slot.parentNode?.removeChild(slot);
+    this.scrollLock?.unlock();
+  }
+
+  /**
+   * @private
+   */
+  _clearTimers() {
+    if (this._delayTimer) clearTimeout(this._delayTimer);
+    if (this._hideTimer) clearTimeout(this._hideTimer);
+    this._delayTimer = null;
+    this._hideTimer = null;
+  }
+}
+
+
+// ================================
+// BusyManager
+// ================================
+
+/**
+ * @typedef {Object} BusyOptions
+ * @property {string} [text]               // スピナーの下に出す文言
+ * @property {number | null} [progress]    // 0〜1（LoaderBuilder と同じ）
+ */
+
+/** busy 中に止めるポインター系イベント（overlay の外に漏れたものも含めて capture で握りつぶす） */
+const BUSY_BLOCKED_EVENTS = ['pointerdown', 'mousedown', 'touchstart', 'click', 'dblclick', 'contextmenu'];
+
+/**
+ * 要素単位の loader（パネルごとの読み込み中表示）
+ * - 全画面の枠 / OverlayManager / ScrollLock には触らない
+ * - 同じ要素への busy() は参照カウント。最後の release で外す
+ */
+export class BusyManager {
+  /**
+   * @param {LoaderBuilder} loaderBuilder
+   */
+  constructor(loaderBuilder) {
+    this.loaderBuilder = loaderBuilder;
+    /**
+     * @type {Map<HTMLElement, {
+     *   count: number;
+     *   overlay: HTMLElement;
+     *   ariaBusy: string | null;
+     *   position: string | null;
+     *   block: (e: Event) => void;
+     * }>}
+     */
+    this.active = new Map();
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {BusyOptions} [options={}]
+   * @returns {() => void} 何度呼んでも 1 回分だけ返す
+   */
+  busy(element, options = {}) {
+    let entry = this.active.get(element);
+
+    if (entry) {
+      entry.count++;
+      this._update(entry.overlay, options);
+    } else {
+      entry = this._attach(element, options);
+      this.active.set(element, entry);
+    }
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this._release(element);
+    };
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @returns {boolean}
+   */
+  isBusy(element) {
+    return this.active.has(element);
+  }
+
+  /**
+   * 参照カウントを無視して全部外す（destroy 用）
+   */
+  releaseAll() {
+    for (const element of [...this.active.keys()]) this._detach(element);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {BusyOptions} options
+   * @private
+   */
+  _attach(element, options) {
+    const overlay = Utils.createElement('div', CLASSNAMES.BUSY_OVERLAY, { id: undefined });
+    const loader = this.loaderBuilder.build({ text: options.text, progress: options.progress });
+    // aria-busy は対象の要素側に付ける
+    loader.removeAttribute('aria-busy');
+    overlay.appendChild(loader);
+
+    const entry = {
+      count: 1,
+      overlay,
+      ariaBusy: element.getAttribute('aria-busy'),
+      position: null,
+      block: (/** @type {Event} */ e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      },
+    };
+
+    // overlay を inset: 0 で被せるための基準
+    const position = typeof getComputedStyle === 'function' ? getComputedStyle(element).position : '';
+    if (!position || position === 'static') {
+      entry.position = element.style.position;
+      element.style.position = 'relative';
+    }
+
+    for (const type of BUSY_BLOCKED_EVENTS) element.addEventListener(type, entry.block, true);
+    element.setAttribute('aria-busy', 'true');
+    element.classList.add(CLASSNAMES.BUSY);
+    element.appendChild(overlay);
+    return entry;
+  }
+
+  /**
+   * @param {HTMLElement} overlay
+   * @param {BusyOptions} options
+   * @private
+   */
+  _update(overlay, options) {
+    const loader = /** @type {HTMLElement | null} */ (overlay.querySelector(`.${CLASSNAMES.LOADER}`));
+    if (!loader) return;
+    if ('text' in options) this.loaderBuilder.update(loader, { text: options.text });
+    if ('progress' in options) this.loaderBuilder.update(loader, { progress: options.progress });
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @private
+   */
+  _release(element) {
+    const entry = this.active.get(element);
+    if (!entry) return;
+    if (--entry.count > 0) return;
+    this._detach(element);
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @private
+   */
+  _detach(element) {
+    const entry = this.active.get(element);
+    if (!entry) return;
+    this.active.delete(element);
+
+    for (const type of BUSY_BLOCKED_EVENTS) element.removeEventListener(type, entry.block, true);
+    entry.overlay.parentNode?.removeChild(entry.overlay);
+    element.classList.remove(CLASSNAMES.BUSY);
+    if (entry.ariaBusy === null) element.removeAttribute('aria-busy');
+    else element.setAttribute('aria-busy', entry.ariaBusy);
+    if (entry.position !== null) element.style.position = entry.position;
+  }
+}
+
+
+// ================================
+// ConfirmBuilder
+// ================================
+
+/**
+ * @typedef {Object} PromptOptions
+ * @property {string} [title]
+ * @property {string} [message]            // input の上に出す説明（テキストのみ）
+ * @property {string} [label]              // input のラベル（省略時は title）
+ * @property {'text' | 'email' | 'number' | 'password' | 'url' | 'tel' | 'search'} [type]
+ * @property {string} [defaultValue]
+ * @property {string} [placeholder]
+ * @property {(value: string) => string | boolean | null | undefined | Promise<string | boolean | null | undefined>} [validate]
+ *   // エラー文言 / false で不正、それ以外で OK。Promise なら pending 表示
+ * @property {string} [invalidMessage]     // validate が false / throw のときの文言
+ * @property {string} [okLabel]
+ * @property {string} [cancelLabel]
+ */
+
+/** prompt() で使える input type（それ以外は text） */
+const PROMPT_TYPES = ['text', 'email', 'number', 'password', 'url', 'tel', 'search'];
+
+/**
+ * フッターに OK / Cancel を足す（ConfirmBuilder / FormBuilder 共通）
+ * @param {HTMLElement} dialog
+ * @param {string} okLabel
+ * @param {string} cancelLabel
+ */
+function appendDialogActions(dialog, okLabel, cancelLabel) {
+  const footer = Utils.createElement('div', CLASSNAMES.DIALOG_FOOTER);
+  const okBtn = /** @type {HTMLButtonElement} */ (Utils.createElement('button', null, {
+    type: 'button',
+    text: okLabel,
+  }));
+  const cancelBtn = /** @type {HTMLButtonElement} */ (Utils.createElement('button', null, {
+    type: 'button',
+    text: cancelLabel,
+  }));
+
+  footer.appendChild(okBtn);
+  footer.appendChild(cancelBtn);
+  dialog.appendChild(footer);
+  return { okBtn, cancelBtn };
+}
+
+/**
+ * 確定 / キャンセルの Promise（ConfirmBuilder / FormBuilder 共通）
+ * @param {HTMLElement} dialog
+ * @param {Function | null} closeCallback
+ * @param {(result: any) => any} toValue - レイヤーが閉じたときの result → resolve する値
+ */
+function createDialogController(dialog, closeCallback, toValue) {
+  let settled = false;
+  let resolveFn;
+  let rejectFn;
+
+  const promise = new Promise((resolve, reject) => {
+    resolveFn = resolve;
+    rejectFn = reject;
+  });
+
+  const controllerId = Utils.generateId();
+
+  // ボタンは「閉じる要求」を出すだけ。
+  // onBeforeClose で拒否されうるので、確定は settle() でレイヤーが閉じた後に行う
+  const requestClose = (result) => {
+    if (settled) return;
+    if (typeof closeCallback === 'function') {
+      closeCallback(dialog, result, 'confirm');
+    } else {
+      settle(result);
+    }
+  };
+
+  const cancel = () => {
+    if (settled) return;
+    settled = true;
+    rejectFn(new Error('Confirm cancelled'));
+    if (typeof closeCallback === 'function') {
+      closeCallback(dialog);
+    }
+  };
+
+  // レイヤーが閉じた結果で確定する
+  const settle = (result) => {
+    if (settled) return;
+    settled = true;
+    resolveFn(toValue(result));
+  };
+
+  return {
+    promise,
+    requestClose,
+    cancel,
+    settle,
+    controllerId,
+    isSettled: () => settled,
+  };
+}
+
+/**
+ * validate の戻り値: string（エラー文言）/ false（fallback）/ それ以外は OK
+ * @param {any} result
+ * @param {string} fallback
+ * @returns {string | null}
+ */
+function validationMessage(result, fallback) {
+  if (result === false) return fallback;
+  if (typeof result === 'string' && result) return result;
+  return null;
+}
+
+export class ConfirmBuilder {
+  /**
+   * @param {DialogBuilder} dialogBuilder
+   * @param {Function} closeCallback
+   * @param {any} featureDetector
+   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   */
+  constructor(dialogBuilder, closeCallback, featureDetector, htmlSanitizer) {
+    this.dialogBuilder = dialogBuilder;
+    this.closeCallback = closeCallback;
+    this.featureDetector = featureDetector;
+    this.htmlSanitizer = htmlSanitizer;
+  }
+
+  /**
+   * @param {{
+   *   title?: string;
+   *   content?: any;
+   *   allowHTML?: boolean;
+   *   okLabel?: string;
+   *   cancelLabel?: string;
+   * }} [options={}]
+   */
+  build(options = {}) {
+    const {
+      title = '',
+      content = '',
+      allowHTML = false,
+      okLabel = 'OK',
+      cancelLabel = 'Cancel',
+    } = options;
+
+    // ベース dialog を作る
+    const dialog = this.dialogBuilder.build({
+      title,
+      content,
+      allowHTML,
+    });
+
+    const { okBtn, cancelBtn } = appendDialogActions(dialog, okLabel, cancelLabel);
+
+    // Escape / overlay / ✕ などボタン以外で閉じられたときは false 扱い
+    const controller = createDialogController(dialog, this.closeCallback, (result) => result === true);
+
+    okBtn.addEventListener('click', () => controller.requestClose(true));
+    cancelBtn.addEventListener('click', () => controller.requestClose(false));
+
+    return {
+      element: dialog,
+      promise: controller.promise,
+      cancel: controller.cancel,
+      settle: controller.settle,
+      controllerId: controller.controllerId,
+    };
+  }
+
+  /**
+   * 1 行入力の confirm（window.prompt の代わり）
+   * - input は label[for] + aria-labelledby で必ず名前を持つ
+   * - Enter / OK で validate → 通れば入力値で閉じる。ボタン以外で閉じたら null
+   * - validate が Promise を返したら確定まで pending 表示（OK / 入力は止める）
+   * @param {PromptOptions} [options={}]
+   */
+  buildPrompt(options = {}) {
+    const {
+      title = '',
+      message = '',
+      label = '',
+      type = 'text',
+      defaultValue = '',
+      placeholder,
+      validate,
+      okLabel = 'OK',
+      cancelLabel = 'Cancel',
+      invalidMessage = 'Invalid value',
+    } = options;
+
+    const dialog = this.dialogBuilder.build({ title, content: message });
+    dialog.classList.add(CLASSNAMES.PROMPT);
+
+    const inputId = Utils.generateId();
+    const field = Utils.createElement('div', CLASSNAMES.PROMPT_FIELD, { id: undefined });
+    const labelEl = Utils.createElement('label', CLASSNAMES.PROMPT_LABEL, {
+      id: Utils.generateId(),
+      htmlFor: inputId,
+      text: label || title,
+    });
+    const input = /** @type {HTMLInputElement} */ (Utils.createElement('input', CLASSNAMES.PROMPT_INPUT, {
+      id: inputId,
+      type: PROMPT_TYPES.includes(type) ? type : 'text',
+      value: defaultValue == null ? '' : String(defaultValue),
+      placeholder,
+      autocomplete: 'off',
+    }));
+    input.setAttribute('aria-labelledby', labelEl.id);
+    input.setAttribute('autofocus', '');
+    const errorEl = Utils.createElement('div', CLASSNAMES.PROMPT_ERROR, {
+      id: Utils.generateId(),
+      'aria-live': 'polite',
+    });
+    errorEl.hidden = true;
+
+    field.appendChild(labelEl);
+    field.appendChild(input);
+    field.appendChild(errorEl);
+    dialog.querySelector(`.${CLASSNAMES.DIALOG_BODY}`)?.appendChild(field);
+
+    const { okBtn, cancelBtn } = appendDialogActions(dialog, okLabel, cancelLabel);
+
+    // 入力値（string）で閉じたときだけ確定。それ以外は null
+    const controller = createDialogController(dialog, this.closeCallback, (result) =>
+      typeof result === 'string' ? result : null,
+    );
+
+    /** @param {string | null} text */
+    const setError = (text) => {
+      if (text) {
+        errorEl.textContent = text;
+        errorEl.hidden = false;
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', errorEl.id);
+      } else {
+        errorEl.textContent = '';
+        errorEl.hidden = true;
+        input.removeAttribute('aria-invalid');
+        input.removeAttribute('aria-describedby');
+      }
+    };
+
+    /** @param {boolean} pending */
+    const setPending = (pending) => {
+      field.classList.toggle(CLASSNAMES.PENDING, pending);
+      input.readOnly = pending;
+      okBtn.disabled = pending;
+      if (pending) input.setAttribute('aria-busy', 'true');
+      else input.removeAttribute('aria-busy');
+    };
+
+    let pending = false;
+    const submit = async () => {
+      if (pending || controller.isSettled()) return;
+      const value = input.value;
+
+      /** @type {any} */
+      let result = null;
+      try {
+        result = typeof validate === 'function' ? validate(value) : null;
+        if (result && typeof result.then === 'function') {
+          pending = true;
+          setError(null);
+          setPending(true);
+          result = await result;
+        }
+      } catch (err) {
+        result = (err && err.message) || invalidMessage;
+      } finally {
+        if (pending) {
+          pending = false;
+          setPending(false);
+        }
+      }
+
+      // pending の間に Escape などで閉じられていたら何もしない
+      if (controller.isSettled()) return;
+
+      const error = validationMessage(result, invalidMessage);
+      setError(error);
+      if (error) {
+        input.focus();
+        return;
+      }
+      controller.requestClose(value);
+    };
+
+    input.addEventListener('keydown', (e) => {
+      // IME 変換確定の Enter では送らない
+      if (e.key !== 'Enter' || e.isComposing) return;
+      e.preventDefault();
+      submit();
+    });
+    // 直し始めたらエラー表示は消す
+    input.addEventListener('input', () => setError(null));
+    okBtn.addEventListener('click', () => submit());
+    cancelBtn.addEventListener('click', () => controller.requestClose(null));
+
+    return {
+      element: dialog,
+      input,
+      promise: controller.promise,
+      cancel: controller.cancel,
+      settle: controller.settle,
+      controllerId: controller.controllerId,
+    };
+  }
+
+  cancelAll() {
+    // v3.4 の P0 では特に管理不要。必要ならここでグローバル cancel を管理する
+  }
+}
+
+
+// ================================
+// FormBuilder
+// ================================
+
+/**
+ * @typedef {Object} FormFieldOption
+ * @property {string} value
+ * @property {string} [label]              // 省略時は value
+ * @property {boolean} [disabled]
+ */
+
+/**
+ * @typedef {Object} FormField
+ * @property {string} name                 // 結果オブジェクトのキー
+ * @property {'text' | 'number' | 'select' | 'checkbox' | 'radio' | 'textarea' | 'date'} [type]
+ * @property {string} [label]              // 省略時は name
+ * @property {string} [hint]               // ラベルの下の補足（aria-describedby）
+ * @property {boolean} [required]
+ * @property {boolean} [disabled]
+ * @property {any} [defaultValue]
+ * @property {string} [placeholder]
+ * @property {Array<FormFieldOption | string>} [options]  // select / radio
+ * @property {number | string} [min]       // number / date
+ * @property {number | string} [max]
+ * @property {number | string} [step]
+ * @property {number} [rows]               // textarea
+ * @property {(value: any, values: Record<string, any>) => string | boolean | null | undefined} [validate]
+ *   // 入力のたびに呼ぶので同期のみ。エラー文言 / false で不正
+ */
+
+/**
+ * @typedef {Object} FormOptions
+ * @property {string} [title]
+ * @property {string} [message]            // フォームの上に出す説明（テキストのみ）
+ * @property {FormField[]} fields
+ * @property {(values: Record<string, any>) => string | boolean | Record<string, string> | null | undefined} [validate]
+ *   // フォーム全体。文言 / false はフォームのエラー、{ name: 文言 } は各フィールドのエラー
+ * @property {string} [submitLabel]
+ * @property {string} [cancelLabel]
+ * @property {string} [requiredMessage]
+ * @property {string} [invalidMessage]     // validator が false を返した / throw したときの文言
+ */
+
+/** form() で使える field type（それ以外は text） */
+const FORM_FIELD_TYPES = ['text', 'number', 'select', 'checkbox', 'radio', 'textarea', 'date'];
+
+/**
+ * スキーマから組み立てる dialog フォーム
+ * - DOM は Utils.createElement だけで作る（innerHTML を使わない）
+ * - エラーは触ったフィールドだけ出し、不正な間は送信ボタンを disabled にする
+ * - 送信した値のオブジェクトで resolve。Cancel / Escape などで閉じたら null
+ */
+export class FormBuilder {
+  /**
+   * @param {DialogBuilder} dialogBuilder
+   * @param {Function} closeCallback
+   */
+  constructor(dialogBuilder, closeCallback) {
+    this.dialogBuilder = dialogBuilder;
+    this.closeCallback = closeCallback;
+  }
+
+  /**
+   * @param {FormOptions} options
+   */
+  build(options) {
+    const {
+      title = '',
+      message = '',
+      fields = [],
+      validate,
+      submitLabel = 'Submit',
+      cancelLabel = 'Cancel',
+      requiredMessage = 'Required',
+      invalidMessage = 'Invalid value',
+    } = options;
+
+    const dialog = this.dialogBuilder.build({ title, content: message });
+    dialog.classList.add(CLASSNAMES.FORM);
+
+    const form = Utils.createElement('form', CLASSNAMES.FORM_BODY, { id: undefined, noValidate: true });
+    const formError = Utils.createElement('div', CLASSNAMES.FORM_MESSAGE, {
+      id: Utils.generateId(),
+      role: 'alert',
+    });
+    formError.hidden = true;
+
+    /** @type {Array<ReturnType<FormBuilder['_buildField']>>} */
+    const entries = fields.map((field) => this._buildField(field));
+    entries.forEach((entry) => form.appendChild(entry.wrapper));
+    form.appendChild(formError);
+    dialog.querySelector(`.${CLASSNAMES.DIALOG_BODY}`)?.appendChild(form);
+
+    const { okBtn: submitBtn, cancelBtn } = appendDialogActions(dialog, submitLabel, cancelLabel);
+
+    // values オブジェクトで閉じたときだけ確定。それ以外は null
+    const controller = createDialogController(dialog, this.closeCallback, (result) =>
+      result && typeof result === 'object' ? result : null,
+    );
+
+    /** @type {Set<string>} */
+    const touched = new Set();
+
+    const getValues = () => {
+      /** @type {Record<string, any>} */
+      const values = {};
+      entries.forEach((entry) => { values[entry.field.name] = entry.read(); });
+      return values;
+    };
+
+    /**
+     * 全フィールド + フォーム全体を検証して表示を揃える
+     * @param {boolean} [showAll=false] - 触っていないフィールドのエラーも出す
+     * @returns {boolean}
+     */
+    const check = (showAll = false) => {
+      const values = getValues();
+
+      /** @type {Record<string, string>} */
+      let fieldErrors = {};
+      /** @type {string | null} */
+      let formMessage = null;
+      if (typeof validate === 'function') {
+        // throw した validator は「不正」として扱う（送信させない）
+        try {
+          const result = validate(values);
+          if (result && typeof result === 'object') fieldErrors = result;
+          else formMessage = validationMessage(result, invalidMessage);
+        } catch {
+          formMessage = invalidMessage;
+        }
+      }
+
+      let valid = !formMessage;
+      entries.forEach((entry) => {
+        const { field } = entry;
+        const value = values[field.name];
+        /** @type {string | null} */
+        let error = null;
+        if (!field.disabled) {
+          if (field.required && isEmptyValue(value)) error = requiredMessage;
+          else if (typeof field.validate === 'function') {
+            try {
+              error = validationMessage(field.validate(value, values), invalidMessage);
+            } catch {
+              error = invalidMessage;
+            }
+          }
+          if (!error && fieldErrors[field.name]) error = String(fieldErrors[field.name]);
+        }
+        if (error) valid = false;
+        entry.setError(showAll || touched.has(field.name) ? error : null);
+      });
+
+      const showForm = !!formMessage && (showAll || touched.size > 0);
+      formError.textContent = showForm ? formMessage : '';
+      formError.hidden = !showForm;
+
+      submitBtn.disabled = !valid;
+      return valid;
+    };
+
+    const submit = () => {
+      if (controller.isSettled()) return;
+      if (!check(true)) {
+        entries.forEach((entry) => touched.add(entry.field.name));
+        /** @type {HTMLElement | null} */ (form.querySelector('[aria-invalid="true"]'))?.focus();
+        return;
+      }
+      controller.requestClose(getValues());
+    };
+
+    entries.forEach((entry) => {
+      const { name } = entry.field;
+      entry.control.addEventListener('input', () => check());
+      entry.control.addEventListener('change', () => {
+        touched.add(name);
+        check();
+      });
+      entry.control.addEventListener('focusout', () => {
+        touched.add(name);
+        check();
+      });
+    });
+
+    form.addEventListener('keydown', (e) => {
+      // textarea の改行 / IME 変換確定 / ボタン上の Enter はそのまま
+      if (e.key !== 'Enter' || e.isComposing) return;
+      const target = /** @type {HTMLElement} */ (e.target);
+      if (target.tagName === 'TEXTAREA' || target.tagName === 'BUTTON') return;
+      e.preventDefault();
+      submit();
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      submit();
+    });
+    submitBtn.addEventListener('click', () => submit());
+    cancelBtn.addEventListener('click', () => controller.requestClose(null));
+
+    // 最初のフィールドにフォーカス
+    entries.find((entry) => !entry.field.disabled)?.focusTarget.setAttribute('autofocus', '');
+    check();
+
+    return {
+      element: dialog,
+      form,
+      getValues,
+      promise: controller.promise,
+      cancel: controller.cancel,
+      settle: controller.settle,
+      controllerId: controller.controllerId,
+    };
+  }
+
+  /**
+   * 1 フィールド分（ラベル / 入力 / ヒント / エラー）
+   * @param {FormField} field
+   * @private
+   */
+  _buildField(field) {
+    const type = FORM_FIELD_TYPES.includes(field.type ?? 'text') ? field.type ?? 'text' : 'text';
+    const controlId = Utils.generateId();
+    const labelId = Utils.generateId();
+    const labelText = field.label ?? field.name;
+
+    const wrapper = Utils.createElement('div', [CLASSNAMES.FORM_FIELD, `${CLASSNAMES.FORM_FIELD}-${type}`]);
+    wrapper.dataset.nyField = field.name;
+
+    const hint = field.hint
+      ? Utils.createElement('div', CLASSNAMES.FORM_HINT, { id: Utils.generateId(), text: field.hint })
+      : null;
+    const errorEl = Utils.createElement('div', CLASSNAMES.FORM_ERROR, {
+      id: Utils.generateId(),
+      'aria-live': 'polite',
+    });
+    errorEl.hidden = true;
+
+    /** @param {HTMLElement} el */
+    const appendRequiredMark = (el) => {
+      if (!field.required) return;
+      el.appendChild(Utils.createElement('span', CLASSNAMES.FORM_REQUIRED, {
+        id: undefined,
+        'aria-hidden': 'true',
+        text: '*',
+      }));
+    };
+
+    /** @type {HTMLElement} */
+    let control;
+    /** @type {HTMLElement} */
+    let focusTarget;
+    /** @type {() => any} */
+    let read;
+
+    if (type === 'radio') {
+      // radio はグループ（fieldset + legend）で名前を持つ
+      control = Utils.createElement('fieldset', CLASSNAMES.FORM_GROUP, {
+        id: controlId,
+        'aria-labelledby': labelId,
+      });
+      const legend = Utils.createElement('legend', CLASSNAMES.FORM_LABEL, { id: labelId, text: labelText });
+      appendRequiredMark(legend);
+      control.appendChild(legend);
+      if (field.required) control.setAttribute('aria-required', 'true');
+
+      const groupName = `${controlId}-${field.name}`;
+      normalizeOptions(field.options).forEach((opt) => {
+        const optionId = Utils.generateId();
+        const optionLabelId = Utils.generateId();
+        const row = Utils.createElement('div', CLASSNAMES.FORM_OPTION, { id: undefined });
+        const radio = Utils.createElement('input', null, {
+          id: optionId,
+          type: 'radio',
+          name: groupName,
+          value: opt.value,
+          checked: String(field.defaultValue ?? '') === opt.value,
+          disabled: !!(field.disabled || opt.disabled),
+          // A11yChecker は組み立て時（document の外）に見るので label[for] だけに頼らない
+          'aria-labelledby': optionLabelId,
+        });
+        row.appendChild(radio);
+        row.appendChild(Utils.createElement('label', null, { id: optionLabelId, htmlFor: optionId, text: opt.label }));
+        control.appendChild(row);
+      });
+
+      focusTarget = /** @type {HTMLElement} */ (
+        control.querySelector('input:checked:not(:disabled)') ?? control.querySelector('input:not(:disabled)') ?? control
+      );
+      read = () => {
+        const checked = /** @type {HTMLInputElement | null} */ (control.querySelector('input:checked'));
+        return checked ? checked.value : null;
+      };
+      wrapper.appendChild(control);
+    } else {
+      const label = Utils.createElement('label', CLASSNAMES.FORM_LABEL, {
+        id: labelId,
+        htmlFor: controlId,
+        text: labelText,
+      });
+      appendRequiredMark(label);
+
+      const common = {
+        id: controlId,
+        name: field.name,
+        disabled: !!field.disabled,
+        required: !!field.required,
+        'aria-labelledby': labelId,
+      };
+
+      if (type === 'select') {
+        const select = /** @type {HTMLSelectElement} */ (Utils.createElement('select', CLASSNAMES.FORM_CONTROL, common));
+        // 必須で既定値なしなら「未選択」を先頭に置く
+        if (field.defaultValue == null) {
+          select.appendChild(Utils.createElement('option', null, { value: '', text: field.placeholder ?? '' }));
+        }
+        normalizeOptions(field.options).forEach((opt) => {
+          select.appendChild(Utils.createElement('option', null, {
+            value: opt.value,
+            text: opt.label,
+            disabled: !!opt.disabled,
+          }));
+        });
+        select.value = field.defaultValue == null ? '' : String(field.defaultValue);
+        control = select;
+        read = () => select.value;
+      } else if (type === 'textarea') {
+        const textarea = /** @type {HTMLTextAreaElement} */ (Utils.createElement('textarea', CLASSNAMES.FORM_CONTROL, {
+          ...common,
+          rows: field.rows ?? 3,
+          placeholder: field.placeholder,
+        }));
+        textarea.value = field.defaultValue == null ? '' : String(field.defaultValue);
+        control = textarea;
+        read = () => textarea.value;
+      } else if (type === 'checkbox') {
+        const checkbox = /** @type {HTMLInputElement} */ (Utils.createElement('input', CLASSNAMES.FORM_CONTROL, {
+          ...common,
+          type: 'checkbox',
+          checked: !!field.defaultValue,
+        }));
+        control = checkbox;
+        read = () => checkbox.checked;
+      } else {
+        const input = /** @type {HTMLInputElement} */ (Utils.createElement('input', CLASSNAMES.FORM_CONTROL, {
+          ...common,
+          type,
+          placeholder: field.placeholder,
+          min: field.min,
+          max: field.max,
+          step: field.step,
+        }));
+        input.value = field.defaultValue == null ? '' : String(field.defaultValue);
+        control = input;
+        read = type === 'number'
+          ? () => (input.value === '' ? null : Number(input.value))
+          : () => input.value;
+      }
+
+      focusTarget = control;
+      // checkbox はラベルを後ろに置く
+      if (type === 'checkbox') {
+        wrapper.appendChild(control);
+        wrapper.appendChild(label);
+      } else {
+        wrapper.appendChild(label);
+        wrapper.appendChild(control);
+      }
+    }
+
+    if (hint) wrapper.appendChild(hint);
+    wrapper.appendChild(errorEl);
+    if (hint) control.setAttribute('aria-describedby', hint.id);
+
+    /** @param {string | null} text */
+    const setError = (text) => {
+      errorEl.textContent = text ?? '';
+      errorEl.hidden = !text;
+      const describedBy = [hint?.id, text ? errorEl.id : null].filter(Boolean).join(' ');
+      if (describedBy) control.setAttribute('aria-describedby', describedBy);
+      else control.removeAttribute('aria-describedby');
+      if (text) control.setAttribute('aria-invalid', 'true');
+      else control.removeAttribute('aria-invalid');
+    };
+
+    return { field, wrapper, control, focusTarget, read, setError };
+  }
+}
+
+/**
+ * @param {Array<FormFieldOption | string> | undefined} options
+ * @returns {Array<{ value: string; label: string; disabled: boolean }>}
+ */
+function normalizeOptions(options) {
+  return (options ?? []).map((opt) =>
+    typeof opt === 'object' && opt !== null
+      ? { value: String(opt.value), label: String(opt.label ?? opt.value), disabled: !!opt.disabled }
+      : { value: String(opt), label: String(opt), disabled: false },
+  );
+}
+
+/**
+ * required 判定用（未入力 / 未選択 / 未チェック）
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEmptyValue(value) {
+  return value == null || value === '' || value === false || (typeof value === 'number' && Number.isNaN(value));
+}
+
+
+// ================================
+// WizardBuilder
+// ================================
+
+/**
+ * @typedef {Object} WizardContext
+ * @property {Record<string, any>} data    // 全ステップ共通。ここに貯めたものが最終結果になる
+ * @property {(patch: Record<string, any>) => void} setData
+ * @property {number} index
+ * @property {HTMLElement} element         // このステップの本文（.ny-wizard-step-body）
+ */
+
+/**
+ * @typedef {Object} WizardStep
+ * @property {string} title
+ * @property {(ctx: WizardContext) => Node | string | null | void} [content]
+ *   // 最初に開いたときだけ呼ぶ。DOM は戻っても作り直さないので入力は残る。文字列はテキスト扱い
+ * @property {(data: Record<string, any>, ctx: WizardContext) => string | boolean | null | undefined | Promise<string | boolean | null | undefined>} [validate]
+ *   // Next / Finish のときだけ。エラー文言 / false で進めない
+ */
+
+/**
+ * @typedef {Object} WizardOptions
+ * @property {string} [title]
+ * @property {WizardStep[]} steps
+ * @property {Record<string, any>} [data]  // 初期値
+ * @property {(info: { index: number; to: number | null; direction: 'next' | 'back' | 'finish'; data: Record<string, any> }) => boolean | void | Promise<boolean | void>} [onStepLeave]
+ *   // ステップを離れる前（async 可）。false で移動を取りやめる
+ * @property {(info: { index: number; data: Record<string, any> }) => void} [onStepChange]
+ * @property {string} [backLabel]
+ * @property {string} [nextLabel]
+ * @property {string} [finishLabel]
+ * @property {string} [cancelLabel]
+ * @property {string} [invalidMessage]
+ */
+
+/**
+ * 複数ステップの dialog
+ * - 見ていないステップの本文は DOM から外すだけで捨てない（戻っても入力が残る）
+ * - 遷移のたびに新しいステップの見出しへフォーカスを移す
+ * - Finish で data を resolve。Cancel / Escape などで閉じたら null
+ */
+export class WizardBuilder {
+  /**
+   * @param {DialogBuilder} dialogBuilder
+   * @param {Function} closeCallback
+   */
+  constructor(dialogBuilder, closeCallback) {
+    this.dialogBuilder = dialogBuilder;
+    this.closeCallback = closeCallback;
+  }
+
+  /**
+   * @param {WizardOptions} options
+   */
+  build(options) {
+    const {
+      title = '',
+      steps = [],
+      onStepLeave,
+      onStepChange,
+      backLabel = 'Back',
+      nextLabel = 'Next',
+      finishLabel = 'Finish',
+      cancelLabel = 'Cancel',
+      invalidMessage = 'Invalid value',
+    } = options;
+    const data = { ...(options.data ?? {}) };
+
+    const dialog = this.dialogBuilder.build({ title });
+    dialog.classList.add(CLASSNAMES.WIZARD);
+    const body = /** @type {HTMLElement} */ (dialog.querySelector(`.${CLASSNAMES.DIALOG_BODY}`));
+
+    // ステップ表示（1. 基本情報 → 2. ...）
+    const indicator = Utils.createElement('ol', CLASSNAMES.WIZARD_STEPS, { id: undefined, 'aria-label': 'Steps' });
+    const indicatorItems = steps.map((step) => {
+      const item = Utils.createElement('li', CLASSNAMES.WIZARD_INDICATOR, { id: undefined, text: step.title });
+      indicator.appendChild(item);
+      return item;
+    });
+    const stage = Utils.createElement('div', CLASSNAMES.WIZARD_STAGE, { id: undefined });
+    body.appendChild(indicator);
+    body.appendChild(stage);
+
+    // Footer: [Cancel] ... [Back] [Next / Finish]
+    const footer = Utils.createElement('div', CLASSNAMES.DIALOG_FOOTER);
+    const cancelBtn = /** @type {HTMLButtonElement} */ (Utils.createElement('button', null, {
+      type: 'button',
+      text: cancelLabel,
+      'data-ny-action': 'cancel',
+    }));
+    const backBtn = /** @type {HTMLButtonElement} */ (Utils.createElement('button', null, {
+      type: 'button',
+      text: backLabel,
+      'data-ny-action': 'back',
+    }));
+    const nextBtn = /** @type {HTMLButtonElement} */ (Utils.createElement('button', null, {
+      type: 'button',
+      text: nextLabel,
+      'data-ny-action': 'next',
+    }));
+    footer.appendChild(cancelBtn);
+    footer.appendChild(backBtn);
+    footer.appendChild(nextBtn);
+    dialog.appendChild(footer);
+
+    // data オブジェクトで閉じたときだけ確定。それ以外は null
+    const controller = createDialogController(dialog, this.closeCallback, (result) =>
+      result && typeof result === 'object' ? result : null,
+    );
+
+    /**
+     * 一度開いたステップ（DOM ごと残す）
+     * @type {Array<{ panel: HTMLElement; heading: HTMLElement; content: HTMLElement; error: HTMLElement; ctx: WizardContext } | undefined>}
+     */
+    const panels = [];
+    let current = -1;
+    let busy = false;
+
+    /** @param {number} index */
+    const panelAt = (index) => {
+      if (panels[index]) return panels[index];
+
+      const step = steps[index];
+      const headingId = Utils.generateId();
+      const panel = Utils.createElement('section', CLASSNAMES.WIZARD_PANEL, {
+        id: undefined,
+        'aria-labelledby': headingId,
+      });
+      const heading = Utils.createElement('h3', CLASSNAMES.WIZARD_HEADING, {
+        id: headingId,
+        tabIndex: -1,
+        text: step.title,
+      });
+      const content = Utils.createElement('div', CLASSNAMES.WIZARD_CONTENT, { id: undefined });
+      const error = Utils.createElement('div', CLASSNAMES.WIZARD_ERROR, { id: undefined, role: 'alert' });
+      error.hidden = true;
+
+      panel.appendChild(heading);
+      panel.appendChild(content);
+      panel.appendChild(error);
+
+      /** @type {WizardContext} */
+      const ctx = {
+        data,
+        setData: (patch) => Object.assign(data, patch),
+        index,
+        element: content,
+      };
+
+      const built = Utils.safeExecute(step.content, null, ctx);
+      if (typeof Node !== 'undefined' && built instanceof Node) content.appendChild(built);
+      else if (built != null) content.textContent = String(built);
+
+      panels[index] = { panel, heading, content, error, ctx };
+      return panels[index];
+    };
+
+    /** @param {string | null} text */
+    const setError = (text) => {
+      const entry = panels[current];
+      if (!entry) return;
+      entry.error.textContent = text ?? '';
+      entry.error.hidden = !text;
+    };
+
+    /** @param {boolean} pending */
+    const setPending = (pending) => {
+      busy = pending;
+      dialog.classList.toggle(CLASSNAMES.PENDING, pending);
+      if (pending) stage.setAttribute('aria-busy', 'true');
+      else stage.removeAttribute('aria-busy');
+      backBtn.disabled = pending || current === 0;
+      nextBtn.disabled = pending;
+    };
+
+    /** @param {number} index */
+    const show = (index) => {
+      const entry = panelAt(index);
+      const prev = panels[current];
+      if (prev && prev !== entry) prev.panel.remove();
+      stage.appendChild(entry.panel);
+      current = index;
+
+      indicatorItems.forEach((item, i) => {
+        item.classList.toggle(CLASSNAMES.WIZARD_DONE, i < index);
+        if (i === index) item.setAttribute('aria-current', 'step');
+        else item.removeAttribute('aria-current');
+      });
+      dialog.dataset.nyStep = String(index);
+      backBtn.disabled = index === 0;
+      backBtn.hidden = index === 0;
+      nextBtn.textContent = index === steps.length - 1 ? finishLabel : nextLabel;
+
+      // 遷移ごとに新しいステップの見出しへ（スクリーンリーダーに位置を伝える）
+      entry.heading.focus();
+      Utils.safeExecute(onStepChange, null, { index, data });
+    };
+
+    /**
+     * @param {'next' | 'back' | 'finish'} direction
+     */
+    const navigate = async (direction) => {
+      if (busy || controller.isSettled()) return;
+      const index = current;
+      const step = steps[index];
+      const to = direction === 'finish' ? null : index + (direction === 'next' ? 1 : -1);
+
+      setError(null);
+      setPending(true);
+      /** @type {string | null} */
+      let error = null;
+      let proceed = true;
+      try {
+        if (direction !== 'back' && typeof step.validate === 'function') {
+          error = validationMessage(await step.validate(data, panels[index].ctx), invalidMessage);
+        }
+        if (!error && typeof onStepLeave === 'function') {
+          proceed = (await onStepLeave({ index, to, direction, data })) !== false;
+        }
+      } catch (err) {
+        error = (err && err.message) || invalidMessage;
+      } finally {
+        setPending(false);
+      }
+
+      // 待っている間に Escape などで閉じられていたら何もしない
+      if (controller.isSettled()) return;
+      if (error) {
+        setError(error);
+        panels[index].heading.focus();
+        return;
+      }
+      if (!proceed) return;
+
+      if (to === null) controller.requestClose({ ...data });
+      else show(to);
+    };
+
+    backBtn.addEventListener('click', () => navigate('back'));
+    nextBtn.addEventListener('click', () => navigate(current === steps.length - 1 ? 'finish' : 'next'));
+    cancelBtn.addEventListener('click', () => controller.requestClose(null));
+
+    show(0);
+
+    return {
+      element: dialog,
+      data,
+      getIndex: () => current,
+      // FocusTrap は最初のボタンに当てるので、開いた後に見出しへ移す
+      onOpen: () => panels[current]?.heading.focus(),
+      promise: controller.promise,
+      cancel: controller.cancel,
+      settle: controller.settle,
+      controllerId: controller.controllerId,
+    };
+  }
+}
+
+
+// ================================
+// PositionEngine
+// ================================
+
+const OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+
+/**
+ * anchor 基準のフローティング要素配置（position: fixed 前提の viewport 座標）
+ * - flip: main 軸がはみ出すなら反対側の方が収まる場合に反転
+ * - shift: cross 軸を viewport 内にクランプ
+ */
+export class PositionEngine {
+  /**
+   * @returns {{ width: number; height: number }}
+   */
+  static getViewport() {
+    if (typeof window === 'undefined') return { width: 0, height: 0 };
+    const docEl = document.documentElement;
+    return {
+      width: docEl?.clientWidth || window.innerWidth,
+      height: docEl?.clientHeight || window.innerHeight,
+    };
+  }
+
+  /**
+   * Element でも {x, y}（右クリック位置など）でも受け付ける
+   * @param {Element | { x: number; y: number }} anchor
+   * @returns {{ top: number; left: number; right: number; bottom: number; width: number; height: number }}
+   */
+  static getAnchorRect(anchor) {
+    if (anchor && typeof anchor.getBoundingClientRect === 'function') {
+      return anchor.getBoundingClientRect();
+    }
+    const x = Number(anchor?.x) || 0;
+    const y = Number(anchor?.y) || 0;
+    return { top: y, bottom: y, left: x, right: x, width: 0, height: 0 };
+  }
+
+  /**
+   * @param {{ top: number; left: number; right: number; bottom: number; width: number; height: number }} anchorRect
+   * @param {{ width: number; height: number }} size
+   * @param {{
+   *   placement?: string;
+   *   offset?: number;
+   *   padding?: number;
+   *   flip?: boolean;
+   *   shift?: boolean;
+   *   viewport?: { width: number; height: number };
+   * }} [options={}]
+   * @returns {{ top: number; left: number; placement: string }}
+   */
+  compute(anchorRect, size, options = {}) {
+    const {
+      offset = DEFAULTS.POPOVER.OFFSET,
+      padding = DEFAULTS.POPOVER.VIEWPORT_PADDING,
+      flip = true,
+      shift = true,
+    } = options;
+    const viewport = options.viewport || PositionEngine.getViewport();
+    const placement = Utils.validateEnum(
+      options.placement,
+      DEFAULTS.POPOVER.PLACEMENTS,
+      DEFAULTS.POPOVER.DEFAULT_PLACEMENT,
+    );
+    const [initialSide, align = ''] = placement.split('-');
+
+    let side = initialSide;
+    let pos = this._place(side, align, anchorRect, size, offset);
+
+    if (flip) {
+      const overflow = this._mainOverflow(side, pos, size, viewport, padding);
+      if (overflow > 0) {
+        const opposite = OPPOSITE_SIDE[side];
+        const alt = this._place(opposite, align, anchorRect, size, offset);
+        if (this._mainOverflow(opposite, alt, size, viewport, padding) < overflow) {
+          side = opposite;
+          pos = alt;
+        }
+      }
+    }
+
+    if (shift) {
+      const clamp = (v, min, max) => Math.max(min, Math.min(v, max));
+      if (side === 'top' || side === 'bottom') {
+        pos.left = clamp(pos.left, padding, viewport.width - size.width - padding);
+      } else {
+        pos.top = clamp(pos.top, padding, viewport.height - size.height - padding);
+      }
+    }
+
+    return { ...pos, placement: align ? `${side}-${align}` : side };
+  }
+
+  /**
+   * 計算結果を element.style に反映する
+   * @param {HTMLElement} element
+   * @param {Element | { x: number; y: number }} anchor
+   * @param {Object} [options={}] - compute() と同じ
+   * @returns {string} 実際に使われた placement
+   */
+  place(element, anchor, options = {}) {
+    const size = { width: element.offsetWidth, height: element.offsetHeight };
+    const { top, left, placement } = this.compute(
+      PositionEngine.getAnchorRect(anchor),
+      size,
+      options,
+    );
+    element.style.top = `${Math.round(top)}px`;
+    element.style.left = `${Math.round(left)}px`;
+    element.setAttribute('data-placement', placement);
+    return placement;
+  }
+
+  /**
+   * @private
+   */
+  _place(side, align, a, s, offset) {
+    const crossX =
+      align === 'start' ? a.left : align === 'end' ? a.right - s.width : a.left + a.width / 2 - s.width / 2;
+    const crossY =
+      align === 'start' ? a.top : align === 'end' ? a.bottom - s.height : a.top + a.height / 2 - s.height / 2;
+
+    switch (side) {
+      case 'top':
+        return { top: a.top - offset - s.height, left: crossX };
+      case 'left':
+        return { top: crossY, left: a.left - offset - s.width };
+      case 'right':
+        return { top: crossY, left: a.right + offset };
+      case 'bottom':
+      default:
+        return { top: a.bottom + offset, left: crossX };
+    }
+  }
+
+  /**
+   * main 軸方向のはみ出し量（px, 収まっていれば 0 以下）
+   * @private
+   */
+  _mainOverflow(side, pos, s, viewport, padding) {
+    switch (side) {
+      case 'top':
+        return padding - pos.top;
+      case 'left':
+        return padding - pos.left;
+      case 'right':
+        return pos.left + s.width - (viewport.width - padding);
+      case 'bottom':
+      default:
+        return pos.top + s.height - (viewport.height - padding);
+    }
+  }
+}
+
+
+// ================================
+// PopoverBuilder
+// ================================
+
+export class PopoverBuilder {
+  /**
+   * @param {import('./core.js').HTMLSanitizer} htmlSanitizer
+   */
+  constructor(htmlSanitizer) {
+    this.htmlSanitizer = htmlSanitizer;
+  }
+
+  /**
+   * @param {{ content?: any; allowHTML?: boolean; role?: string; label?: string }} [options={}]
+   * @returns {HTMLElement}
+   */
+  build(options = {}) {
+    const { content = '', allowHTML = false } = options;
+
+    // 複数同時に開けるので class 由来の固定 id は付けない
+    const popover = Utils.createElement('div', CLASSNAMES.POPOVER, {
+      id: Utils.generateId(),
+      role: options.role,
+      'aria-label': options.label,
+    });
+    Utils.appendContent(popover, content, !!allowHTML, this.htmlSanitizer);
+    return popover;
+  }
+
+  /**
+   * @param {HTMLElement} popover
+   * @param {{ content?: any; allowHTML?: boolean }} [options={}]
+   */
+  update(popover, options = {}) {
+    if (!popover || !('content' in options)) return;
+    Utils.appendContent(popover, options.content, !!options.allowHTML, this.htmlSanitizer);
+  }
+}
+
+
+// ================================
+// PopoverManager
+// ================================
+
+/**
+ * @typedef {Object} PopoverMeta
+ * @property {Element | { x: number; y: number }} anchor
+ * @property {string} [placement]
+ * @property {number} [offset]
+ * @property {boolean} [closeOnOutsideClick]  // 既定 true
+ * @property {boolean} [autoFocus]            // 開いたら中の最初の要素へフォーカス
+ * @property {Function} [onOpen]
+ * @property {Function} [onClose]             // onClose(result)
+ * @property {(element: HTMLElement, options: Object) => void} [update]
+ * @property {any} [data]
+ */
+
+/**
+ * @typedef {Object} Popover
+ * @property {string} id
+ * @property {HTMLElement} element
+ * @property {PopoverMeta & { type: 'popover' }} meta
+ * @property {'open'|'closed'} state
+ * @property {Record<string, string | null>} anchorAttrs  // 閉じる時に戻す aria-* の元値
+ * @property {Array<() => void>} cleanup
+ * @property {Promise<boolean>} opened
+ * @property {Promise<any>} closed
+ * @property {(result: any) => void} resolveClosed
+ */
+
+/**
+ * 非モーダルのフローティングレイヤー管理
+ * - overlay / FocusTrap / スクロールロックは使わない
+ * - anchor 基準で配置し、scroll / resize / ResizeObserver で追従
+ * - 外側クリック・closeKey で最上位から閉じる
+ * - anchor が中に含まれる子 popover（サブメニュー等）は親と一緒に閉じる
+ */
+export class PopoverManager extends EventEmitter {
+  /**
+   * @param {import('./core.js').KernelConfig} config
+   * @param {import('./core.js').Logger} logger
+   * @param {import('./state.js').EventManager} eventManager
+   * @param {import('./core.js').FeatureDetector} featureDetector
+   */
+  constructor(config, logger, eventManager, featureDetector) {
+    super();
+    this.config = config;
+    this.logger = logger;
+    this.eventManager = eventManager;
+    this.featureDetector = featureDetector;
+    this.positionEngine = new PositionEngine();
+
+    /** @type {Popover[]} 開いた順 */
+    this.popovers = [];
+    /** @type {Array<() => void>} */
+    this._globalListeners = [];
+    this._frameRequested = false;
+  }
+
+  /**
+   * @param {HTMLElement} element
+   * @param {PopoverMeta} meta
+   * @returns {LayerHandle | undefined}
+   */
+  open(element, meta) {
+    if (typeof document === 'undefined') return undefined;
+
+    /** @type {(result: any) => void} */
+    let resolveClosed = () => {};
+    const closed = new Promise((resolve) => {
+      resolveClosed = resolve;
+    });
+
+    /** @type {Popover} */
+    const popover = {
+      id: element.id || Utils.generateId(),
+      element,
+      meta: { ...meta, type: 'popover' },
+      state: 'open',
+      anchorAttrs: {},
+      cleanup: [],
+      opened: Promise.resolve(true),
+      closed,
+      resolveClosed,
+    };
+
+    element.id = popover.id;
+    element.setAttribute('data-ny-layer', popover.id);
+    Utils.getFloatingRoot().appendChild(element);
+    this.popovers.push(popover);
+
+    const { anchor } = meta;
+    if (Utils.isHTMLElement(anchor)) {
+      popover.anchorAttrs = {
+        'aria-expanded': anchor.getAttribute('aria-expanded'),
+        'aria-controls': anchor.getAttribute('aria-controls'),
+      };
+      anchor.setAttribute('aria-expanded', 'true');
+      anchor.setAttribute('aria-controls', popover.id);
+    }
+
+    if (this.featureDetector.isSupported('resizeObserver')) {
+      const ro = new ResizeObserver(() => this._scheduleReposition());
+      ro.observe(element);
+      if (Utils.isHTMLElement(anchor)) ro.observe(anchor);
+      popover.cleanup.push(() => ro.disconnect());
+    }
+
+    if (this.popovers.length === 1) this._attachGlobalListeners();
+    this.reposition(popover.id);
+
+    if (meta.autoFocus) {
+      const first = element.querySelector(FOCUSABLE_SELECTORS);
+      (/** @type {HTMLElement | null} */ (first) || element).focus?.();
+    }
+
+    Utils.safeExecute(meta.onOpen, null, element, meta.data);
+    this.emit(DEFAULTS.EVENTS.POPOVER_OPEN, { ...popover.meta, id: popover.id });
+
+    return new LayerHandle(this, popover);
+  }
+
+  /**
+   * @param {string | HTMLElement} target
+   * @param {any} [result]
+   * @param {string} [reason='api']
+   * @returns {Promise<boolean>}
+   */
+  closeLayer(target, result, reason = 'api') {
+    const popover = this.popovers.find((p) => p.id === target || p.element === target);
+    if (!popover) return Promise.resolve(false);
+    this._teardown(popover, result, reason);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * 最後に開いた popover を閉じる
+   * @param {string} [reason='api']
+   * @returns {boolean}
+   */
+  closeTop(reason = 'api') {
+    const top = this.popovers[this.popovers.length - 1];
+    if (!top) return false;
+    this._teardown(top, undefined, reason);
+    return true;
+  }
+
+  closeAll() {
+    while (this.popovers.length > 0) {
+      this._teardown(this.popovers[0], undefined, 'api');
+    }
+  }
+
+  hasOpen() {
+    return this.popovers.length > 0;
+  }
+
+  /**
+   * @returns {Popover[]}
+   */
+  getPopovers() {
+    return this.popovers.slice();
+  }
+
+  /**
+   * 位置を再計算する（id 省略時は全部）
+   * @param {string} [id]
+   */
+  reposition(id) {
+    for (const popover of this.popovers.slice()) {
+      if (id && popover.id !== id) continue;
+      const { anchor, placement, offset } = popover.meta;
+
+      // anchor が DOM から消えたら追従できないので閉じる
+      if (Utils.isHTMLElement(anchor) && !anchor.isConnected) {
+        this._teardown(popover, undefined, 'detached');
+        continue;
+      }
+      this.positionEngine.place(popover.element, anchor, { placement, offset });
+    }
+  }
+
+  /**
+   * @param {Popover} popover
+   * @param {any} result
+   * @param {string} reason
+   * @private
+   */
+  _teardown(popover, result, reason) {
+    const index = this.popovers.indexOf(popover);
+    if (index === -1) return;
+
+    // 先に子 popover（anchor がこの popover 内にあるもの）を閉じる
+    for (const child of this.popovers.slice(index + 1)) {
+      const childAnchor = child.meta.anchor;
+      if (Utils.isHTMLElement(childAnchor) && popover.element.contains(childAnchor)) {
+        this._teardown(child, undefined, reason);
+      }
+    }
+
+    this.popovers.splice(this.popovers.indexOf(popover), 1);
+    popover.state = 'closed';
+    popover.cleanup.forEach((fn) => fn());
+
+    const { element, meta } = popover;
+    const { anchor } = meta;
+    const hadFocus = element.contains(document.activeElement);
+
+    if (Utils.isHTMLElement(anchor)) {
+      for (const [name, value] of Object.entries(popover.anchorAttrs)) {
+        if (value == null) anchor.removeAttribute(name);
+        else anchor.setAttribute(name, value);
+      }
+      if (hadFocus && anchor.isConnected) anchor.focus();
+    }
+
+    if (element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+    if (this.popovers.length === 0) this._detachGlobalListeners();
+
+    Utils.safeExecute(meta.onClose, null, result);
+    this.emit(DEFAULTS.EVENTS.POPOVER_CLOSE, { ...meta, id: popover.id, result, reason });
+    popover.resolveClosed(result);
+  }
+
+  /**
+   * @private
    */
-  build(options = {}) {
-    const {
-      title = '',
-      content = '',
-      allowHTML = false,
-      okLabel = 'OK',
-      cancelLabel = 'Cancel',
-    } = options;
+  _attachGlobalListeners() {
+    const em = this.eventManager;
+    const onScrollOrResize = () => this._scheduleReposition();
 
-    // ベース dialog を作る
-    const dialog = this.dialogBuilder.build({
-      title,
-      content,
-      allowHTML,
+    this._globalListeners = [
+      em.listen(document, 'pointerdown', (e) => this._handleOutsidePointer(e), true),
+      em.listen(document, 'keydown', (e) => this._handleKeyDown(e), true),
+      em.listen(window, 'scroll', onScrollOrResize, { capture: true, passive: true }),
+      em.listen(window, 'resize', onScrollOrResize, { passive: true }),
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _detachGlobalListeners() {
+    this._globalListeners.forEach((unlisten) => unlisten());
+    this._globalListeners = [];
+  }
+
+  /**
+   * @private
+   */
+  _scheduleReposition() {
+    if (this._frameRequested) return;
+    this._frameRequested = true;
+    Utils.nextFrame(() => {
+      this._frameRequested = false;
+      this.reposition();
     });
+  }
 
-    // フッターにボタンを足す
-    const footer = Utils.createElement('div');
-    const okBtn = Utils.createElement('button', null, {
-      type: 'button',
-      text: okLabel,
+  /**
+   * 上から順に「クリックが内側に入った popover」に当たるまで閉じる
+   * @param {Event} e
+   * @private
+   */
+  _handleOutsidePointer(e) {
+    const target = /** @type {Node} */ (e.target);
+    for (const popover of this.popovers.slice().reverse()) {
+      if (popover.state !== 'open') continue;
+      const { anchor, closeOnOutsideClick } = popover.meta;
+      const inside =
+        popover.element.contains(target) ||
+        (Utils.isHTMLElement(anchor) && anchor.contains(target));
+      if (inside) break;
+      if (closeOnOutsideClick === false) continue;
+      this._teardown(popover, undefined, 'outside');
+    }
+  }
+
+  /**
+   * closeKey は popover を優先して閉じ、下のモーダルには渡さない
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _handleKeyDown(e) {
+    const closeKey = this.config?.shortcuts?.closeKey ?? 'Escape';
+    if (e.key !== closeKey || e.defaultPrevented) return;
+    if (this.closeTop('escape')) {
+      e.preventDefault();
+    }
+  }
+}
+
+
+// ================================
+// TooltipManager
+// ================================
+
+/**
+ * 委譲リスナーが聞くイベント。hover / focus / タッチ / closeKey をまとめて拾える型は DOM に無いので並べる
+ * （keydown だけは preventDefault するため passive にしない）
+ */
+const TOOLTIP_EVENTS = [
+  'mouseover',
+  'mouseout',
+  'focusin',
+  'focusout',
+  'touchstart',
+  'touchend',
+  'touchmove',
+  'touchcancel',
+  'keydown',
+];
+
+/**
+ * [data-ny-tooltip] を持つ要素すべてに document 1 箇所の委譲リスナーで tooltip を出す
+ * - hover / focus / タッチ長押しで表示、delay-in / delay-out 付き
+ * - 中身は常に textContent（HTML は解釈しない）
+ * - 表示中は trigger の aria-describedby に tooltip id を足し、隠すと元に戻す
+ * - closeKey で閉じる（下のモーダルには渡さない）
+ */
+export class TooltipManager extends EventEmitter {
+  /**
+   * @param {import('./core.js').KernelConfig} config
+   * @param {import('./state.js').EventManager} eventManager
+   * @param {PositionEngine} [positionEngine]
+   */
+  constructor(config, eventManager, positionEngine = new PositionEngine()) {
+    super();
+    this.config = config;
+    this.eventManager = eventManager;
+    this.positionEngine = positionEngine;
+
+    /** @type {HTMLElement | null} */
+    this.el = null;
+    /** @type {HTMLElement | null} 現在表示中の trigger */
+    this.trigger = null;
+    /** @type {string | null} trigger の元の aria-describedby */
+    this._prevDescribedBy = null;
+
+    this._showTimer = 0;
+    this._hideTimer = 0;
+    this._pressTimer = 0;
+    /** @type {Array<() => void>} */
+    this._listeners = [];
+  }
+
+  init() {
+    if (this._listeners.length > 0 || typeof document === 'undefined') return;
+
+    // ハンドラは 1 つで、e.type で振り分ける
+    const handler = (e) => this._handleEvent(e);
+    this._listeners = TOOLTIP_EVENTS.map((type) =>
+      this.eventManager.listen(document, type, handler, { capture: true, passive: type !== 'keydown' })
+    );
+  }
+
+  /**
+   * @param {HTMLElement} trigger
+   */
+  show(trigger) {
+    clearTimeout(this._showTimer);
+    clearTimeout(this._hideTimer);
+
+    const text = trigger?.getAttribute(DEFAULTS.TOOLTIP.ATTRIBUTE);
+    if (!text || !trigger.isConnected) return;
+
+    if (this.trigger && this.trigger !== trigger) this.hide();
+    this._ensureElement();
+    const tip = /** @type {HTMLElement} */ (this.el);
+
+    // 常にテキストとして扱う
+    Utils.appendContent(tip, text, false);
+
+    if (this.trigger !== trigger) {
+      this.trigger = trigger;
+      this._prevDescribedBy = trigger.getAttribute('aria-describedby');
+      const ids = (this._prevDescribedBy || '').split(/\s+/).filter(Boolean);
+      if (!ids.includes(tip.id)) ids.push(tip.id);
+      trigger.setAttribute('aria-describedby', ids.join(' '));
+    }
+
+    tip.hidden = false;
+    tip.classList.add(CLASSNAMES.VISIBLE);
+    this.positionEngine.place(tip, trigger, {
+      placement:
+        trigger.getAttribute(DEFAULTS.TOOLTIP.PLACEMENT_ATTRIBUTE) ||
+        DEFAULTS.TOOLTIP.DEFAULT_PLACEMENT,
     });
-    const cancelBtn = Utils.createElement('button', null, {
-      type: 'button',
-      text: cancelLabel,
+
+    this.emit(DEFAULTS.EVENTS.TOOLTIP_SHOW, { trigger, text });
+  }
+
+  hide() {
+    clearTimeout(this._showTimer);
+    clearTimeout(this._hideTimer);
+
+    const trigger = this.trigger;
+    if (!trigger || !this.el) return;
+
+    if (this._prevDescribedBy == null) trigger.removeAttribute('aria-describedby');
+    else trigger.setAttribute('aria-describedby', this._prevDescribedBy);
+
+    this.el.classList.remove(CLASSNAMES.VISIBLE);
+    this.el.hidden = true;
+    this.trigger = null;
+    this._prevDescribedBy = null;
+
+    this.emit(DEFAULTS.EVENTS.TOOLTIP_HIDE, { trigger });
+  }
+
+  isVisible() {
+    return !!this.trigger;
+  }
+
+  destroy() {
+    this.hide();
+    this._cancelLongPress();
+    this._listeners.forEach((unlisten) => unlisten());
+    this._listeners = [];
+    this.el?.remove();
+    this.el = null;
+  }
+
+  /**
+   * @private
+   */
+  _ensureElement() {
+    if (this.el) return;
+    this.el = Utils.createElement('div', CLASSNAMES.TOOLTIP, {
+      id: Utils.generateId(),
+      role: 'tooltip',
     });
+    this.el.hidden = true;
+    // native dialog が開いていればその中（top layer）に作る。以後の移動は syncFloatingRoot に任せる
+    Utils.getFloatingRoot().appendChild(this.el);
+  }
 
-    footer.appendChild(okBtn);
-    footer.appendChild(cancelBtn);
-    dialog.appendChild(footer);
+  /**
+   * document の委譲リスナー本体
+   * @param {Event} e
+   * @private
+   */
+  _handleEvent(e) {
+    const T = DEFAULTS.TOOLTIP;
+    switch (e.type) {
+      case 'mouseover': {
+        const trigger = this._findTrigger(e.target);
+        if (trigger) this._scheduleShow(trigger, T.SHOW_DELAY);
+        break;
+      }
+      case 'mouseout': {
+        const trigger = this._findTrigger(e.target);
+        // trigger 内の子要素間の移動は無視
+        const related = /** @type {MouseEvent} */ (e).relatedTarget;
+        if (trigger && !trigger.contains(/** @type {Node} */ (related))) this._scheduleHide(T.HIDE_DELAY);
+        break;
+      }
+      case 'focusin': {
+        const trigger = this._findTrigger(e.target);
+        if (trigger) this._scheduleShow(trigger, 0);
+        break;
+      }
+      case 'focusout':
+        if (this._findTrigger(e.target)) this._scheduleHide(0);
+        break;
+      case 'touchstart':
+        this._handleTouchStart(/** @type {TouchEvent} */ (e));
+        break;
+      case 'touchend':
+        this._handleTouchEnd();
+        break;
+      case 'touchmove':
+      case 'touchcancel':
+        this._cancelLongPress();
+        break;
+      case 'keydown':
+        this._handleKeyDown(/** @type {KeyboardEvent} */ (e));
+        break;
+    }
+  }
+
+  /**
+   * @param {EventTarget | null} target
+   * @returns {HTMLElement | null}
+   * @private
+   */
+  _findTrigger(target) {
+    if (!target || typeof (/** @type {Element} */ (target).closest) !== 'function') return null;
+    return /** @type {HTMLElement | null} */ (
+      /** @type {Element} */ (target).closest(`[${DEFAULTS.TOOLTIP.ATTRIBUTE}]`)
+    );
+  }
+
+  /**
+   * @param {HTMLElement} trigger
+   * @param {number} delay
+   * @private
+   */
+  _scheduleShow(trigger, delay) {
+    clearTimeout(this._hideTimer);
+    clearTimeout(this._showTimer);
+    // 別の trigger へ移っただけなら待たずに出す
+    if (this.trigger || delay <= 0) {
+      this.show(trigger);
+      return;
+    }
+    this._showTimer = setTimeout(() => this.show(trigger), delay);
+  }
+
+  /**
+   * @param {number} delay
+   * @private
+   */
+  _scheduleHide(delay) {
+    clearTimeout(this._showTimer);
+    clearTimeout(this._hideTimer);
+    if (delay <= 0) {
+      this.hide();
+      return;
+    }
+    this._hideTimer = setTimeout(() => this.hide(), delay);
+  }
+
+  /**
+   * @param {TouchEvent} e
+   * @private
+   */
+  _handleTouchStart(e) {
+    this._cancelLongPress();
+    const trigger = this._findTrigger(e.target);
+    if (!trigger) {
+      this.hide();
+      return;
+    }
+    this._pressTimer = setTimeout(() => {
+      this._pressTimer = 0;
+      this.show(trigger);
+    }, DEFAULTS.TOOLTIP.LONG_PRESS);
+  }
+
+  /**
+   * @private
+   */
+  _handleTouchEnd() {
+    this._cancelLongPress();
+    if (this.trigger) this._scheduleHide(DEFAULTS.TOOLTIP.TOUCH_HIDE_DELAY);
+  }
+
+  /**
+   * @private
+   */
+  _cancelLongPress() {
+    clearTimeout(this._pressTimer);
+    this._pressTimer = 0;
+  }
+
+  /**
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _handleKeyDown(e) {
+    const closeKey = this.config?.shortcuts?.closeKey ?? 'Escape';
+    if (e.key !== closeKey || e.defaultPrevented || !this.trigger) return;
+    this.hide();
+    e.preventDefault();
+  }
+}
+
+
+// ================================
+// MenuBuilder
+// ================================
+
+/**
+ * @typedef {Object} MenuItem
+ * @property {'item'|'checkbox'|'radio'|'separator'} [type='item']
+ * @property {string} [label]             // 常に textContent として描画
+ * @property {boolean} [disabled]
+ * @property {boolean} [checked]          // checkbox / radio（選択時にここを書き換える）
+ * @property {string} [group]             // radio のグループ名
+ * @property {any} [value]
+ * @property {boolean} [keepOpen]         // 選択してもメニューを閉じない
+ * @property {MenuItem[]} [items]         // サブメニュー
+ * @property {(item: MenuItem) => void} [onSelect]
+ */
 
-    let settled = false;
-    let resolveFn;
-    let rejectFn;
+const MENU_ROLES = {
+  item: 'menuitem',
+  checkbox: 'menuitemcheckbox',
+  radio: 'menuitemradio',
+};
 
-    const promise = new Promise((resolve, reject) => {
-      resolveFn = resolve;
-      rejectFn = reject;
+export class MenuBuilder {
+  /**
+   * @param {MenuItem[]} items
+   * @param {{ label?: string }} [options={}]
+   * @returns {HTMLElement}
+   */
+  build(items, options = {}) {
+    const menu = Utils.createElement('div', [CLASSNAMES.POPOVER, CLASSNAMES.MENU], {
+      id: Utils.generateId(),
+      role: 'menu',
+      'aria-label': options.label,
+      'aria-orientation': 'vertical',
     });
 
-    const controllerId = Utils.generateId();
+    items.forEach((item, index) => {
+      if (item.type === 'separator') {
+        menu.appendChild(
+          Utils.createElement('div', CLASSNAMES.MENU_SEPARATOR, { id: undefined, role: 'separator' }),
+        );
+        return;
+      }
+
+      const el = Utils.createElement('div', CLASSNAMES.MENU_ITEM, {
+        id: Utils.generateId(),
+        role: MENU_ROLES[item.type || 'item'] || MENU_ROLES.item,
+        tabindex: '-1',
+        text: item.label ?? '',
+      });
+      el.setAttribute('data-ny-menu-index', String(index));
 
-    const closeAll = () => {
-      if (typeof this.closeCallback === 'function') {
-        this.closeCallback();
+      if (item.disabled) el.setAttribute('aria-disabled', 'true');
+      if (item.type === 'checkbox' || item.type === 'radio') {
+        el.setAttribute('aria-checked', String(!!item.checked));
       }
+      if (Array.isArray(item.items)) {
+        el.setAttribute('aria-haspopup', 'menu');
+        el.setAttribute('aria-expanded', 'false');
+      }
+      menu.appendChild(el);
+    });
+
+    return menu;
+  }
+}
+
+
+// ================================
+// MenuManager
+// ================================
+
+/**
+ * @typedef {Object} MenuOptions
+ * @property {Element} [anchor]
+ * @property {{ x: number; y: number }} [point]   // 右クリックメニュー用
+ * @property {MenuItem[]} items
+ * @property {string} [label]
+ * @property {string} [placement]
+ * @property {Function} [onClose]                 // onClose(選ばれた item | undefined)
+ */
+
+/**
+ * @typedef {Object} OpenMenu
+ * @property {HTMLElement} element
+ * @property {MenuItem[]} items
+ * @property {Element | { x: number; y: number }} anchor
+ * @property {OpenMenu | null} parent
+ * @property {OpenMenu} root
+ * @property {OpenMenu | null} submenu
+ * @property {LayerHandle | undefined} handle
+ * @property {string} typeahead
+ * @property {number} typeaheadTimer
+ */
+
+/**
+ * role="menu" の原型
+ * - 表示・外側クリック・Escape は PopoverManager に任せる
+ *   （サブメニューは子 popover なので Escape で 1 段ずつ親へ戻る）
+ * - roving tabindex / typeahead / Home / End / 左右キーでのサブメニュー開閉
+ * - onSelect は runAction 経由で呼ぶ（Kernel が ErrorBoundary で包む）
+ */
+export class MenuManager {
+  /**
+   * @param {PopoverManager} popoverManager
+   * @param {MenuBuilder} menuBuilder
+   * @param {(fn: Function | undefined, ...args: any[]) => void} runAction
+   */
+  constructor(popoverManager, menuBuilder, runAction) {
+    this.popoverManager = popoverManager;
+    this.menuBuilder = menuBuilder;
+    this.runAction = runAction;
+  }
+
+  /**
+   * @param {MenuOptions} options
+   * @returns {LayerHandle | undefined}
+   */
+  open(options) {
+    const previousFocus = document.activeElement;
+    const anchor = options.anchor || options.point;
+    const isPoint = !options.anchor;
+
+    const root = this._openMenu(options.items || [], anchor, null, {
+      label: options.label,
+      placement: options.placement,
+      offset: isPoint ? 0 : undefined,
+      focusFirst: true,
+      onClose: (result) => {
+        // point で開いた場合は PopoverManager が戻す先を持たないので元の要素へ返す
+        const active = document.activeElement;
+        if (
+          isPoint &&
+          Utils.isHTMLElement(previousFocus) &&
+          previousFocus.isConnected &&
+          (!active || active === document.body)
+        ) {
+          previousFocus.focus();
+        }
+        Utils.safeExecute(options.onClose, null, result);
+      },
+    });
+    return root.handle;
+  }
+
+  /**
+   * @param {MenuItem[]} items
+   * @param {Element | { x: number; y: number }} anchor
+   * @param {OpenMenu | null} parent
+   * @param {{ label?: string; placement?: string; offset?: number; focusFirst?: boolean; onClose?: Function }} options
+   * @returns {OpenMenu}
+   * @private
+   */
+  _openMenu(items, anchor, parent, options) {
+    const element = this.menuBuilder.build(items, { label: options.label });
+
+    /** @type {OpenMenu} */
+    const menu = {
+      element,
+      items,
+      anchor,
+      parent,
+      root: /** @type {any} */ (null),
+      submenu: null,
+      handle: undefined,
+      typeahead: '',
+      typeaheadTimer: 0,
     };
+    menu.root = parent ? parent.root : menu;
 
-    okBtn.addEventListener('click', () => {
-      if (settled) return;
-      settled = true;
-      resolveFn(true);
-      closeAll();
+    element.addEventListener('keydown', (e) => this._handleKeyDown(menu, e));
+    element.addEventListener('click', (e) => {
+      const el = this._itemFromEvent(menu, e);
+      if (el) this._activate(menu, el);
+    });
+    element.addEventListener('mouseover', (e) => {
+      const el = this._itemFromEvent(menu, e);
+      if (el) this._handleHover(menu, el);
     });
 
-    cancelBtn.addEventListener('click', () => {
-      if (settled) return;
-      settled = true;
-      resolveFn(false);
-      closeAll();
+    menu.handle = this.popoverManager.open(element, {
+      anchor,
+      placement: options.placement || DEFAULTS.MENU.DEFAULT_PLACEMENT,
+      offset: options.offset,
+      onClose: (result) => {
+        clearTimeout(menu.typeaheadTimer);
+        if (parent && parent.submenu === menu) parent.submenu = null;
+        Utils.safeExecute(options.onClose, null, result);
+      },
     });
 
-    const cancel = () => {
-      if (settled) return;
-      settled = true;
-      rejectFn(new Error('Confirm cancelled'));
-      closeAll();
-    };
+    if (options.focusFirst) this._focusItem(menu, this._getItems(menu)[0]);
+    return menu;
+  }
 
-    return {
-      element: dialog,
-      promise,
-      cancel,
-      controllerId,
-    };
+  /**
+   * @param {OpenMenu} menu
+   * @returns {HTMLElement[]} separator を除いた項目（disabled も含む）
+   * @private
+   */
+  _getItems(menu) {
+    return Array.from(menu.element.querySelectorAll(`.${CLASSNAMES.MENU_ITEM}`));
   }
 
-  cancelAll() {
-    // v3.4 の P0 では特に管理不要。必要ならここでグローバル cancel を管理する
+  /**
+   * @param {OpenMenu} menu
+   * @param {HTMLElement} el
+   * @returns {MenuItem | undefined}
+   * @private
+   */
+  _itemOf(menu, el) {
+    return menu.items[Number(el.getAttribute('data-ny-menu-index'))];
+  }
+
+  /**
+   * @param {OpenMenu} menu
+   * @param {Event} e
+   * @returns {HTMLElement | null}
+   * @private
+   */
+  _itemFromEvent(menu, e) {
+    const target = /** @type {Element} */ (e.target);
+    const el = target?.closest?.(`.${CLASSNAMES.MENU_ITEM}`);
+    return el && menu.element.contains(el) ? /** @type {HTMLElement} */ (el) : null;
+  }
+
+  /**
+   * roving tabindex: フォーカス中の項目だけ tabindex=0
+   * @param {OpenMenu} menu
+   * @param {HTMLElement | undefined} el
+   * @private
+   */
+  _focusItem(menu, el) {
+    if (!el) return;
+    for (const item of this._getItems(menu)) {
+      item.setAttribute('tabindex', item === el ? '0' : '-1');
+    }
+    el.focus();
+  }
+
+  /**
+   * @param {OpenMenu} menu
+   * @returns {boolean}
+   * @private
+   */
+  _isRTL(menu) {
+    if (typeof getComputedStyle !== 'function') return false;
+    return getComputedStyle(menu.element).direction === 'rtl';
+  }
+
+  /**
+   * @param {OpenMenu} menu
+   * @param {HTMLElement} el
+   * @param {boolean} focusFirst
+   * @private
+   */
+  _openSubmenu(menu, el, focusFirst) {
+    const item = this._itemOf(menu, el);
+    if (!item || item.disabled || !Array.isArray(item.items)) return;
+
+    if (menu.submenu) {
+      if (menu.submenu.anchor === el) {
+        if (focusFirst) this._focusItem(menu.submenu, this._getItems(menu.submenu)[0]);
+        return;
+      }
+      menu.submenu.handle?.close();
+    }
+
+    menu.submenu = this._openMenu(item.items, el, menu, {
+      label: item.label,
+      placement: this._isRTL(menu) ? 'left-start' : DEFAULTS.MENU.SUBMENU_PLACEMENT,
+      offset: 0,
+      focusFirst,
+    });
+  }
+
+  /**
+   * @param {OpenMenu} menu
+   * @param {HTMLElement} el
+   * @private
+   */
+  _handleHover(menu, el) {
+    if (menu.submenu && menu.submenu.anchor !== el) {
+      menu.submenu.handle?.close();
+    }
+    this._focusItem(menu, el);
+    this._openSubmenu(menu, el, false);
+  }
+
+  /**
+   * @param {OpenMenu} menu
+   * @param {HTMLElement} el
+   * @private
+   */
+  _activate(menu, el) {
+    const item = this._itemOf(menu, el);
+    if (!item || item.disabled) return;
+
+    if (Array.isArray(item.items)) {
+      this._openSubmenu(menu, el, true);
+      return;
+    }
+
+    if (item.type === 'checkbox') {
+      item.checked = !item.checked;
+      el.setAttribute('aria-checked', String(item.checked));
+    } else if (item.type === 'radio') {
+      this._getItems(menu).forEach((other) => {
+        const data = this._itemOf(menu, other);
+        if (data?.type !== 'radio' || data.group !== item.group) return;
+        data.checked = data === item;
+        other.setAttribute('aria-checked', String(data.checked));
+      });
+    }
+
+    this.runAction(item.onSelect, item);
+    if (!item.keepOpen) menu.root.handle?.close(item);
+  }
+
+  /**
+   * 次に打たれた文字で始まる項目へ移動（同じ文字の連打は順送り）
+   * @param {OpenMenu} menu
+   * @param {string} char
+   * @param {number} current
+   * @private
+   */
+  _typeahead(menu, char, current) {
+    clearTimeout(menu.typeaheadTimer);
+    menu.typeahead += char.toLowerCase();
+    menu.typeaheadTimer = /** @type {any} */ (
+      setTimeout(() => {
+        menu.typeahead = '';
+      }, DEFAULTS.MENU.TYPEAHEAD_TIMEOUT)
+    );
+
+    const buffer = menu.typeahead;
+    const repeated = buffer.split('').every((c) => c === buffer[0]);
+    const search = repeated ? buffer[0] : buffer;
+    const items = this._getItems(menu);
+    const start = repeated || current === -1 ? current + 1 : current;
+
+    for (let i = 0; i < items.length; i++) {
+      const el = items[(start + i) % items.length];
+      const label = String(this._itemOf(menu, el)?.label ?? '').trim().toLowerCase();
+      if (label.startsWith(search)) {
+        this._focusItem(menu, el);
+        return;
+      }
+    }
+  }
+
+  /**
+   * closeKey は PopoverManager（capture）が先に処理するのでここでは扱わない
+   * @param {OpenMenu} menu
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  _handleKeyDown(menu, e) {
+    if (e.defaultPrevented) return;
+
+    const items = this._getItems(menu);
+    if (items.length === 0) return;
+
+    const current = items.indexOf(/** @type {HTMLElement} */ (document.activeElement));
+    const el = items[current];
+    const rtl = this._isRTL(menu);
+    const forwardKey = rtl ? 'ArrowLeft' : 'ArrowRight';
+    const backKey = rtl ? 'ArrowRight' : 'ArrowLeft';
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this._focusItem(menu, items[(current + 1) % items.length]);
+        break;
+      case 'ArrowUp':
+        this._focusItem(menu, items[(current - 1 + items.length) % items.length]);
+        break;
+      case 'Home':
+        this._focusItem(menu, items[0]);
+        break;
+      case 'End':
+        this._focusItem(menu, items[items.length - 1]);
+        break;
+      case forwardKey:
+        if (el) this._openSubmenu(menu, el, true);
+        break;
+      case backKey:
+        // 親へ戻る（フォーカスは PopoverManager が anchor = 親の項目へ返す）
+        if (!menu.parent) return;
+        menu.handle?.close();
+        break;
+      case 'Enter':
+      case ' ':
+        if (el) this._activate(menu, el);
+        break;
+      case 'Tab':
+        // Tab はメニューを抜ける操作。既定動作は止めない
+        menu.root.handle?.close();
+        return;
+      default:
+        if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+        this._typeahead(menu, e.key, current);
+    }
+    e.preventDefault();
   }
 }
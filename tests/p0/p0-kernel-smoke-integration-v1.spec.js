@@ -139,12 +139,13 @@ describe('Nyamo UI Kernel - Integration: Full Workflow (P0 / v1)', () => {
 
     // 1. Loader
     kernel.loader(true, 'Loading data...');
-    expect(kernel.hasActiveLayer()).toBe(true);
+    expect(kernel.isLoading()).toBe(true);
 
     await waitFor(30);
 
     // 2. Dialog
     kernel.loader(false);
+    expect(document.querySelector('.ny-loader')).toBeNull();
     kernel.dialog({
       title: 'Data Loaded',
       content: 'Process completed successfully',
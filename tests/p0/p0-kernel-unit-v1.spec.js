@@ -360,12 +360,13 @@ describe('Dialog / Sheet / Toast / Loader / Confirm / Destroy (P0)', () => {
     kernel.init();
 
     kernel.loader(true, 'Loading...');
-    expect(kernel.hasActiveLayer()).toBe(true);
+    expect(kernel.isLoading()).toBe(true);
     expect(document.querySelector('.ny-loader')).toBeTruthy();
     expect(document.querySelector('.ny-spinner')).toBeTruthy();
 
     kernel.loader(false);
-    expect(kernel.hasActiveLayer()).toBe(false);
+    expect(kernel.isLoading()).toBe(false);
+    expect(document.querySelector('.ny-loader')).toBeNull();
 
     kernel.destroy();
   });
@@ -411,3 +412,2189 @@ describe('Dialog / Sheet / Toast / Loader / Confirm / Destroy (P0)', () => {
     expect(kernel.hasActiveLayer()).toBe(false);
   });
 });
+
+// ================================
+// Layer Stack
+// ================================
+
+describe('Layer Stack', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('dialog の上に confirm を積んでも下のレイヤーは残る', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const onClose = jest.fn();
+    kernel.sheet({ content: 'Edit form', onClose });
+    const promise = kernel.confirm({ content: 'Discard changes?' });
+
+    expect(kernel.getLayers()).toHaveLength(2);
+    expect(kernel.getState().layerDepth).toBe(2);
+
+    const [sheet, confirm] = kernel.getLayers();
+    expect(Number(confirm.element.style.zIndex)).toBeGreaterThan(
+      Number(sheet.element.style.zIndex),
+    );
+
+    Array.from(document.querySelectorAll('button'))
+      .find((b) => b.textContent === 'Cancel')
+      .click();
+    await expect(promise).resolves.toBe(false);
+
+    expect(kernel.getActiveLayer().id).toBe(sheet.id);
+    expect(onClose).not.toHaveBeenCalled();
+
+    kernel.destroy();
+  });
+
+  test('Escape / overlay クリックは最上位だけを閉じる', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    kernel.dialog({ title: 'Base' });
+    kernel.dialog({ title: 'Top', stack: true });
+    kernel.dialog({ title: 'Topmost', stack: true });
+
+    triggerKeydown('Escape');
+    expect(kernel.getLayers()).toHaveLength(2);
+
+    document.querySelector('.ny-overlay').click();
+    expect(kernel.getLayers()).toHaveLength(1);
+    expect(kernel.getActiveLayer().element.textContent).toContain('Base');
+
+    kernel.destroy();
+    expect(kernel.getState().layerDepth).toBe(0);
+  });
+});
+
+// ================================
+// LayerHandle
+// ================================
+
+describe('LayerHandle', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('dialog() は handle を返し、update / close(result) / closed が使える', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const onClose = jest.fn();
+    const handle = kernel.dialog({ title: 'Before', content: 'Body', onClose });
+
+    expect(handle.id).toBe(kernel.getActiveLayer().id);
+    expect(handle.element.classList.contains('ny-dialog')).toBe(true);
+
+    handle.update({ title: 'After', footer: 'Footer' });
+    expect(handle.element.querySelector('.ny-dialog-title').textContent).toBe('After');
+    expect(handle.element.querySelector('.ny-dialog-body').textContent).toBe('Body');
+    expect(handle.element.querySelector('.ny-dialog-footer').textContent).toBe('Footer');
+
+    handle.close('saved');
+    await expect(handle.closed).resolves.toBe('saved');
+    expect(onClose).toHaveBeenCalledWith('saved');
+    expect(handle.isOpen()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('下のレイヤーを handle で直接閉じても上のレイヤーは残る', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const sheet = kernel.sheet({ content: 'Sheet' });
+    const dialog = kernel.dialog({ content: 'Dialog', stack: true });
+
+    sheet.close();
+    expect(kernel.getLayers().map((l) => l.id)).toEqual([dialog.id]);
+
+    kernel.destroy();
+  });
+
+  test('confirm は Escape で閉じられると false で resolve する', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const promise = kernel.confirm({ content: 'Sure?' });
+    triggerKeydown('Escape');
+
+    await expect(promise).resolves.toBe(false);
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Lifecycle Guards
+// ================================
+
+describe('Lifecycle Guards (onBeforeOpen / onBeforeClose)', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('onBeforeClose が false を返すと Escape / overlay で閉じない', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const onBeforeClose = jest.fn(() => false);
+    kernel.sheet({ content: 'Unsaved form', onBeforeClose });
+
+    triggerKeydown('Escape');
+    document.querySelector('.ny-overlay').click();
+
+    expect(kernel.hasActiveLayer()).toBe(true);
+    expect(onBeforeClose).toHaveBeenCalledTimes(2);
+    expect(onBeforeClose.mock.calls.map(([ctx]) => ctx.reason)).toEqual([
+      'escape',
+      'overlay',
+    ]);
+
+    kernel.destroy();
+  });
+
+  test('async onBeforeClose: reject で拒否 / resolve で閉じる', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    let allow = false;
+    const handle = kernel.dialog({
+      content: 'Form',
+      onBeforeClose: () => (allow ? Promise.resolve() : Promise.reject(new Error('dirty'))),
+    });
+
+    await expect(kernel.layerManager.closeLayer(handle.id)).resolves.toBe(false);
+    expect(handle.isOpen()).toBe(true);
+
+    allow = true;
+    await expect(kernel.layerManager.closeLayer(handle.id, 'ok')).resolves.toBe(true);
+    await expect(handle.closed).resolves.toBe('ok');
+
+    kernel.destroy();
+  });
+
+  test('onBeforeOpen / dialog:beforeopen で開くのを拒否できる', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const vetoed = kernel.dialog({ content: 'No', onBeforeOpen: () => false });
+    await expect(vetoed.opened).resolves.toBe(false);
+    expect(kernel.hasActiveLayer()).toBe(false);
+
+    const listener = (e) => e.preventDefault();
+    kernel.on('dialog:beforeopen', listener);
+    kernel.dialog({ content: 'Also no' });
+    expect(kernel.hasActiveLayer()).toBe(false);
+    kernel.off('dialog:beforeopen', listener);
+
+    const delayed = kernel.dialog({
+      content: 'Later',
+      onBeforeOpen: () => waitFor(10).then(() => true),
+    });
+    expect(kernel.hasActiveLayer()).toBe(false);
+    await expect(delayed.opened).resolves.toBe(true);
+    expect(kernel.hasActiveLayer()).toBe(true);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Exit Animation
+// ================================
+
+describe('Exit Animation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('退出アニメーションがあれば animationend まで DOM に残り、close() はその後 resolve', async () => {
+    const style = document.createElement('style');
+    // jsdom は animation ショートハンドを展開しないので longhand で書く
+    style.textContent =
+      '.ny-dialog.ny-closing { animation-name: ny-dialog-exit; animation-duration: 200ms; }';
+    document.head.appendChild(style);
+
+    const kernel = createKernel();
+    kernel.init();
+
+    const handle = kernel.dialog({ content: 'Bye' });
+    const closing = kernel.close();
+
+    // スタックからは即座に外れる
+    expect(kernel.hasActiveLayer()).toBe(false);
+    expect(handle.element.classList.contains('ny-closing')).toBe(true);
+    expect(handle.element.isConnected).toBe(true);
+
+    handle.element.dispatchEvent(new Event('animationend'));
+    await expect(closing).resolves.toBe(true);
+    expect(handle.element.isConnected).toBe(false);
+
+    style.remove();
+    kernel.destroy();
+  });
+
+  test('config.animations=false なら待たずに外す', async () => {
+    const style = document.createElement('style');
+    style.textContent =
+      '.ny-dialog.ny-closing { animation-name: ny-dialog-exit; animation-duration: 200ms; }';
+    document.head.appendChild(style);
+
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const handle = kernel.dialog({ content: 'Bye' });
+    kernel.close();
+    expect(handle.element.isConnected).toBe(false);
+
+    style.remove();
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Modal Queue
+// ================================
+
+describe('Modal Queue', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('開いている間の dialog() はキューに入り、閉じたら priority 順に開く', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const first = kernel.dialog({ content: 'Editing', priority: 'high' });
+    const low = kernel.dialog({ content: 'Low', priority: 'low' });
+    const high = kernel.dialog({ content: 'High', priority: 'high' });
+    const normal = kernel.dialog({ content: 'Normal' });
+
+    expect(kernel.getLayers().map((l) => l.id)).toEqual([first.id]);
+    expect(kernel.getQueue().map((q) => q.id)).toEqual([high.id, normal.id, low.id]);
+    expect(kernel.getState().queue).toHaveLength(3);
+
+    kernel.close();
+    expect(kernel.getActiveLayer().id).toBe(high.id);
+    kernel.close();
+    expect(kernel.getActiveLayer().id).toBe(normal.id);
+
+    kernel.destroy();
+  });
+
+  test('critical は割り込み、閉じると元のレイヤーに戻る', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const editing = kernel.sheet({ content: 'Editing' });
+    const expired = kernel.dialog({ content: 'Session expired', priority: 'critical' });
+
+    expect(kernel.getLayers().map((l) => l.id)).toEqual([editing.id, expired.id]);
+
+    expired.close();
+    expect(kernel.getActiveLayer().id).toBe(editing.id);
+
+    kernel.destroy();
+  });
+
+  test('clearQueue / キュー中の handle.close()', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    kernel.dialog({ content: 'Current' });
+    const a = kernel.dialog({ content: 'A' });
+    const b = kernel.dialog({ content: 'B' });
+
+    a.close('skipped');
+    await expect(a.closed).resolves.toBe('skipped');
+    expect(kernel.getQueue().map((q) => q.id)).toEqual([b.id]);
+
+    kernel.clearQueue();
+    await expect(b.opened).resolves.toBe(false);
+    expect(kernel.getQueue()).toEqual([]);
+
+    kernel.close();
+    expect(kernel.hasActiveLayer()).toBe(false);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Popover
+// ================================
+
+describe('Popover', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  function createAnchor() {
+    const anchor = document.createElement('button');
+    anchor.textContent = 'Open';
+    document.body.appendChild(anchor);
+    return anchor;
+  }
+
+  test('PositionEngine: 下がはみ出すなら上へ flip、横は viewport 内へ shift', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const engine = kernel.popoverManager.positionEngine;
+    const viewport = { width: 300, height: 300 };
+    const size = { width: 100, height: 80 };
+
+    const below = engine.compute(
+      { top: 20, bottom: 40, left: 100, right: 140, width: 40, height: 20 },
+      size,
+      { placement: 'bottom', viewport },
+    );
+    expect(below).toEqual({ top: 48, left: 70, placement: 'bottom' });
+
+    const flipped = engine.compute(
+      { top: 260, bottom: 280, left: 280, right: 300, width: 20, height: 20 },
+      size,
+      { placement: 'bottom', viewport },
+    );
+    expect(flipped.placement).toBe('top');
+    expect(flipped.top).toBe(260 - 8 - 80);
+    expect(flipped.left).toBe(300 - 100 - 8);
+
+    kernel.destroy();
+  });
+
+  test('外側クリック / Escape で閉じ、下のモーダルは残る', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    kernel.dialog({ content: 'Modal' });
+    const anchor = createAnchor();
+
+    const handle = kernel.popover({ anchor, content: '<b>text</b>' });
+    expect(handle.element.textContent).toBe('<b>text</b>');
+    expect(anchor.getAttribute('aria-expanded')).toBe('true');
+    expect(anchor.getAttribute('aria-controls')).toBe(handle.id);
+
+    triggerKeydown('Escape');
+    expect(handle.isOpen()).toBe(false);
+    expect(kernel.hasActiveLayer()).toBe(true);
+    expect(anchor.hasAttribute('aria-expanded')).toBe(false);
+
+    const again = kernel.popover({ anchor, content: 'again' });
+    again.element.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    expect(again.isOpen()).toBe(true);
+
+    document.body.dispatchEvent(new Event('pointerdown', { bubbles: true }));
+    await expect(again.closed).resolves.toBeUndefined();
+
+    kernel.destroy();
+  });
+
+  test('anchor なしはエラーを ErrorBoundary に流す', () => {
+    const kernel = createKernel({ safeMode: true });
+    kernel.init();
+
+    expect(kernel.popover({ content: 'x' })).toBeUndefined();
+    expect(kernel.getErrors()[0].message).toMatch(/anchor/);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Tooltip
+// ================================
+
+describe('Tooltip', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('hover で delay 後に表示、aria-describedby を付け外しする', () => {
+    jest.useFakeTimers();
+    const kernel = createKernel();
+    kernel.init();
+
+    const trigger = document.createElement('button');
+    trigger.setAttribute('data-ny-tooltip', '<i>Save</i>');
+    trigger.setAttribute('aria-describedby', 'hint');
+    document.body.appendChild(trigger);
+
+    trigger.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    expect(kernel.tooltipManager.isVisible()).toBe(false);
+
+    jest.advanceTimersByTime(400);
+    const tip = document.querySelector('.ny-tooltip');
+    expect(tip.getAttribute('role')).toBe('tooltip');
+    expect(tip.textContent).toBe('<i>Save</i>');
+    expect(trigger.getAttribute('aria-describedby')).toBe(`hint ${tip.id}`);
+
+    trigger.dispatchEvent(new MouseEvent('mouseout', { bubbles: true }));
+    jest.advanceTimersByTime(100);
+    expect(tip.hidden).toBe(true);
+    expect(trigger.getAttribute('aria-describedby')).toBe('hint');
+
+    kernel.destroy();
+  });
+
+  test('focus で即表示し、Escape は tooltip だけを閉じる', () => {
+    const kernel = createKernel();
+    kernel.init();
+    kernel.dialog({ content: 'Modal' });
+
+    const trigger = document.createElement('button');
+    trigger.setAttribute('data-ny-tooltip', 'Help');
+    document.body.appendChild(trigger);
+
+    trigger.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    expect(kernel.tooltipManager.isVisible()).toBe(true);
+
+    triggerKeydown('Escape');
+    expect(kernel.tooltipManager.isVisible()).toBe(false);
+    expect(kernel.hasActiveLayer()).toBe(true);
+
+    kernel.destroy();
+  });
+
+  test('長押しで表示、指を離すと少し後に消え、動かしたら出さない', () => {
+    jest.useFakeTimers();
+    const kernel = createKernel();
+    kernel.init();
+
+    const trigger = document.createElement('button');
+    trigger.setAttribute('data-ny-tooltip', 'Help');
+    document.body.appendChild(trigger);
+    const touch = (type) => trigger.dispatchEvent(new Event(type, { bubbles: true }));
+
+    touch('touchstart');
+    jest.advanceTimersByTime(500);
+    expect(kernel.tooltipManager.isVisible()).toBe(true);
+
+    touch('touchend');
+    jest.advanceTimersByTime(1500);
+    expect(kernel.tooltipManager.isVisible()).toBe(false);
+
+    touch('touchstart');
+    touch('touchmove');
+    jest.advanceTimersByTime(500);
+    expect(kernel.tooltipManager.isVisible()).toBe(false);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Menu
+// ================================
+
+describe('Menu', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('矢印 / Home / End / typeahead で roving tabindex が動く', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const anchor = document.createElement('button');
+    document.body.appendChild(anchor);
+
+    kernel.menu({
+      anchor,
+      items: [
+        { label: 'Copy' },
+        { type: 'separator' },
+        { label: 'Cut', disabled: true },
+        { label: 'Paste' },
+      ],
+    });
+
+    const menu = document.querySelector('[role="menu"]');
+    const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+    expect(anchor.getAttribute('aria-expanded')).toBe('true');
+    expect(document.activeElement).toBe(items[0]);
+    expect(menu.querySelector('[role="separator"]')).not.toBeNull();
+
+    triggerKeydown('ArrowDown', document.activeElement);
+    expect(document.activeElement).toBe(items[1]);
+    expect(items[1].getAttribute('tabindex')).toBe('0');
+    expect(items[0].getAttribute('tabindex')).toBe('-1');
+
+    triggerKeydown('End', document.activeElement);
+    expect(document.activeElement).toBe(items[2]);
+    triggerKeydown('ArrowDown', document.activeElement);
+    expect(document.activeElement).toBe(items[0]);
+
+    triggerKeydown('p', document.activeElement);
+    expect(document.activeElement).toBe(items[2]);
+
+    // disabled は選べない
+    items[1].click();
+    expect(document.querySelector('[role="menu"]')).not.toBeNull();
+
+    kernel.destroy();
+  });
+
+  test('サブメニューは ArrowRight で開き、Escape で親の項目へ戻る', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const anchor = document.createElement('button');
+    document.body.appendChild(anchor);
+
+    kernel.menu({
+      anchor,
+      items: [{ label: 'Share', items: [{ label: 'Mail' }, { label: 'Link' }] }],
+    });
+
+    const parentItem = document.activeElement;
+    expect(parentItem.getAttribute('aria-haspopup')).toBe('menu');
+
+    triggerKeydown('ArrowRight', parentItem);
+    expect(document.querySelectorAll('[role="menu"]')).toHaveLength(2);
+    expect(parentItem.getAttribute('aria-expanded')).toBe('true');
+    expect(document.activeElement.textContent).toBe('Mail');
+
+    triggerKeydown('Escape', document.activeElement);
+    expect(document.querySelectorAll('[role="menu"]')).toHaveLength(1);
+    expect(document.activeElement).toBe(parentItem);
+    expect(parentItem.getAttribute('aria-expanded')).toBe('false');
+
+    kernel.destroy();
+  });
+
+  test('point 指定の右クリックメニュー: 選択で閉じ、onSelect の例外は ErrorBoundary へ', async () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const kernel = createKernel();
+    kernel.init();
+
+    const onSelect = jest.fn(() => {
+      throw new Error('boom');
+    });
+    const handle = kernel.menu({
+      point: { x: 40, y: 60 },
+      items: [
+        { label: 'Wrap', type: 'checkbox', checked: false, onSelect },
+        { label: 'Delete' },
+      ],
+    });
+
+    const item = document.querySelector('[role="menuitemcheckbox"]');
+    triggerKeydown('Enter', item);
+
+    const picked = await handle.closed;
+    expect(picked.label).toBe('Wrap');
+    expect(picked.checked).toBe(true);
+    expect(onSelect).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('[role="menu"]')).toBeNull();
+    expect(kernel.getErrors().some((e) => e.message === 'boom')).toBe(true);
+
+    kernel.destroy();
+    spy.mockRestore();
+  });
+});
+
+// ================================
+// Native Renderer
+// ================================
+
+describe('Native Renderer', () => {
+  const proto = HTMLDialogElement.prototype;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    // jsdom には showModal() が無いので最小限の挙動を生やす
+    proto.showModal = function showModal() {
+      this.setAttribute('open', '');
+    };
+    proto.close = function close() {
+      this.removeAttribute('open');
+      this.dispatchEvent(new Event('close'));
+    };
+  });
+
+  afterEach(() => {
+    delete proto.showModal;
+    delete proto.close;
+  });
+
+  test('対応環境では <dialog> で包んで showModal し、.ny-overlay は出さない', () => {
+    const kernel = createKernel();
+    kernel.init();
+    expect(kernel.getRenderer()).toBe('native');
+
+    const onOpen = jest.fn();
+    kernel.on('dialog:open', onOpen);
+    const handle = kernel.dialog({ content: 'Native' });
+
+    const host = handle.element.parentElement;
+    expect(host.tagName).toBe('DIALOG');
+    expect(host.classList.contains('ny-layer-host')).toBe(true);
+    expect(host.hasAttribute('open')).toBe(true);
+    expect(kernel.overlayManager.getElement().classList.contains('ny-visible')).toBe(false);
+    expect(onOpen).toHaveBeenCalledTimes(1);
+
+    // popover は top layer の中へ入れる
+    const anchor = document.createElement('button');
+    handle.element.appendChild(anchor);
+    kernel.popover({ anchor, content: 'tip' });
+    expect(host.querySelector('.ny-popover')).not.toBeNull();
+
+    triggerKeydown('Escape');
+    triggerKeydown('Escape');
+    expect(kernel.hasActiveLayer()).toBe(false);
+    expect(document.querySelector('dialog.ny-layer-host')).toBeNull();
+
+    kernel.destroy();
+  });
+
+  test('backdrop（<dialog> 自身）のクリックは overlay クリックとして扱う', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const handle = kernel.sheet({ content: 'Sheet' });
+    const host = handle.element.parentElement;
+    host.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    const result = await handle.closed;
+    expect(result).toBeUndefined();
+    expect(kernel.hasActiveLayer()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('dialog を開いている間も toast は top layer の中にあって押せ、閉じたら body へ戻る', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    // 開く前からある toast も移す
+    kernel.toast('Before');
+    const onUndo = jest.fn();
+    const handle = kernel.dialog({ content: 'Native' });
+    const host = handle.element.parentElement;
+    const toast = kernel.toast('Deleted', { actions: [{ id: 'undo', label: 'Undo', onClick: onUndo }] });
+
+    const region = document.querySelector('.ny-toast-container');
+    expect(region.parentElement).toBe(host);
+    expect(region.hasAttribute('inert')).toBe(false);
+    expect(region.hasAttribute('aria-hidden')).toBe(false);
+
+    toast.element.querySelector('button.ny-toast-action').click();
+    expect(onUndo).toHaveBeenCalledTimes(1);
+    await expect(toast.promise).resolves.toBe('undo');
+
+    await kernel.close();
+    expect(region.isConnected).toBe(true);
+    expect(region.parentElement).toBe(document.body);
+
+    kernel.destroy();
+  });
+
+  test('dialog を開いている間に初めて出す tooltip は最初から dialog の中に作る', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const trigger = document.createElement('button');
+    trigger.setAttribute('data-ny-tooltip', 'Help');
+    const handle = kernel.dialog({ content: 'Native' });
+    handle.element.appendChild(trigger);
+    const host = handle.element.parentElement;
+
+    const appended = jest.spyOn(document.body, 'appendChild');
+    trigger.dispatchEvent(new FocusEvent('focusin', { bubbles: true }));
+    const tip = document.querySelector('.ny-tooltip');
+    expect(tip.parentElement).toBe(host);
+    expect(appended).not.toHaveBeenCalledWith(tip);
+    appended.mockRestore();
+
+    kernel.destroy();
+  });
+
+  test("renderer: 'overlay' なら対応環境でも従来の div 描画", () => {
+    const kernel = createKernel({ renderer: 'overlay' });
+    kernel.init();
+    expect(kernel.getRenderer()).toBe('overlay');
+
+    const handle = kernel.dialog({ content: 'Div' });
+    expect(handle.element.parentElement).toBe(document.body);
+    expect(kernel.overlayManager.getElement().classList.contains('ny-visible')).toBe(true);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Inert Background
+// ================================
+
+describe('Inert Background', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('モーダル中は最上位以外の body 直下を隠し、閉じたら元の値に戻す', () => {
+    const app = document.createElement('main');
+    const banner = document.createElement('div');
+    banner.setAttribute('aria-hidden', 'false');
+    document.body.append(app, banner);
+
+    const kernel = createKernel();
+    kernel.init();
+
+    const first = kernel.dialog({ content: 'First' });
+    expect(app.getAttribute('aria-hidden')).toBe('true');
+    expect(banner.getAttribute('aria-hidden')).toBe('true');
+    expect(first.element.hasAttribute('aria-hidden')).toBe(false);
+    expect(kernel.overlayManager.getElement().hasAttribute('aria-hidden')).toBe(false);
+
+    // 上に積んだら下のレイヤーも背景になる
+    const second = kernel.dialog({ content: 'Second', stack: true });
+    expect(first.element.getAttribute('aria-hidden')).toBe('true');
+    expect(second.element.hasAttribute('aria-hidden')).toBe(false);
+
+    kernel.close();
+    expect(first.element.hasAttribute('aria-hidden')).toBe(false);
+    expect(app.getAttribute('aria-hidden')).toBe('true');
+
+    kernel.close();
+    expect(app.hasAttribute('aria-hidden')).toBe(false);
+    expect(banner.getAttribute('aria-hidden')).toBe('false');
+
+    kernel.destroy();
+  });
+
+  test('開いている間に body へ追加された要素も隠す（popover / toast は除く）', async () => {
+    const kernel = createKernel();
+    kernel.init();
+    kernel.dialog({ content: 'Modal' });
+
+    const late = document.createElement('div');
+    document.body.appendChild(late);
+    kernel.toast('saved');
+    await Promise.resolve();
+
+    expect(late.getAttribute('aria-hidden')).toBe('true');
+    expect(document.querySelector('.ny-toast-container').hasAttribute('aria-hidden')).toBe(false);
+
+    kernel.close();
+    expect(late.hasAttribute('aria-hidden')).toBe(false);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Scroll Lock
+// ================================
+
+describe('Scroll Lock', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    document.body.removeAttribute('style');
+    Object.defineProperty(document.documentElement, 'clientWidth', {
+      configurable: true,
+      get: () => window.innerWidth - 15,
+    });
+  });
+
+  afterEach(() => {
+    delete document.documentElement.clientWidth;
+  });
+
+  test('スクロールバー幅を補正し、積んだレイヤーが全部閉じるまで外さない', () => {
+    document.body.style.paddingRight = '4px';
+    const kernel = createKernel();
+    kernel.init();
+
+    kernel.dialog({ content: 'First' });
+    kernel.dialog({ content: 'Second', stack: true });
+
+    const root = document.documentElement;
+    expect(kernel.scrollLockManager.count).toBe(2);
+    expect(document.body.classList.contains('ny-no-scroll')).toBe(true);
+    expect(document.body.style.paddingRight).toBe('19px');
+    expect(root.style.getPropertyValue('--ny-scrollbar-width')).toBe('15px');
+
+    kernel.close();
+    expect(document.body.classList.contains('ny-no-scroll')).toBe(true);
+
+    kernel.close();
+    expect(document.body.classList.contains('ny-no-scroll')).toBe(false);
+    expect(document.body.style.paddingRight).toBe('4px');
+    expect(root.style.getPropertyValue('--ny-scrollbar-width')).toBe('');
+
+    kernel.destroy();
+  });
+
+  test('レイヤー外の touchmove は止め、ロック解除後は止めない', () => {
+    const kernel = createKernel();
+    kernel.init();
+    const handle = kernel.dialog({ content: 'Modal' });
+
+    const touch = (target) => {
+      const e = new Event('touchmove', { bubbles: true, cancelable: true });
+      target.dispatchEvent(e);
+      return e.defaultPrevented;
+    };
+
+    expect(touch(document.body)).toBe(true);
+    expect(touch(handle.element)).toBe(true); // スクロールできない領域
+
+    kernel.close();
+    expect(touch(document.body)).toBe(false);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Toast Regions
+// ================================
+
+describe('Toast Regions', () => {
+  const offsetHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+      configurable: true,
+      get() {
+        return this.classList.contains('ny-toast') ? 40 : 0;
+      },
+    });
+  });
+
+  afterEach(() => {
+    Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeight);
+    jest.useRealTimers();
+  });
+
+  test('position ごとに region を作り、既定は config.toastPosition', () => {
+    const kernel = createKernel({ toastPosition: 'top-right' });
+    kernel.init();
+
+    kernel.toast('A');
+    kernel.toast('B', { position: 'bottom-left' });
+
+    const regions = document.querySelectorAll('.ny-toast-container');
+    expect(Array.from(regions).map((r) => r.getAttribute('data-position'))).toEqual([
+      'top-right',
+      'bottom-left',
+    ]);
+    expect(regions[0].textContent).toBe('A');
+
+    kernel.destroy();
+  });
+
+  test('高さから offset を計算し、region ごとの maxToasts を超えた分は待たせる', () => {
+    jest.useFakeTimers();
+    const kernel = createKernel({ maxToasts: 2 });
+    kernel.init();
+
+    kernel.toast('1', { duration: 1000 });
+    kernel.toast('2', { duration: 5000 });
+    kernel.toast('3', { duration: 5000 });
+    kernel.toast('top', { position: 'top-center' });
+
+    const bottom = document.querySelector('[data-position="bottom-center"]');
+    const shown = bottom.querySelectorAll('.ny-toast');
+    expect(shown).toHaveLength(2);
+    // 新しいものが下端、古いものは (高さ + GAP) だけ上へ
+    expect(shown[1].style.getPropertyValue('--ny-toast-offset')).toBe('0px');
+    expect(shown[0].style.getPropertyValue('--ny-toast-offset')).toBe('-48px');
+    expect(document.querySelector('[data-position="top-center"] .ny-toast')).not.toBeNull();
+
+    jest.advanceTimersByTime(1000);
+    const after = Array.from(bottom.querySelectorAll('.ny-toast')).map((t) => t.textContent);
+    expect(after).toEqual(['2', '3']);
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Toast Actions
+// ================================
+
+describe('Toast Actions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('action を押すと onClick → その id で promise が resolve する', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const onUndo = jest.fn();
+    const handle = kernel.toast('Deleted', {
+      actions: [{ id: 'undo', label: 'Undo', onClick: onUndo }],
+    });
+
+    expect(handle.element.getAttribute('role')).toBe('alert');
+    const button = handle.element.querySelector('button.ny-toast-action');
+    expect(button.textContent).toBe('Undo');
+
+    button.click();
+    await expect(handle.promise).resolves.toBe('undo');
+    expect(onUndo).toHaveBeenCalledWith(handle);
+    expect(handle.isVisible()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test("timeout / dismiss で 'timeout' / 'dismissed'、フォーカス中はタイマーが止まる", async () => {
+    jest.useFakeTimers();
+    const kernel = createKernel();
+    kernel.init();
+
+    const timed = kernel.toast('Saved', { duration: 1000, actions: [{ label: 'Open' }] });
+    jest.advanceTimersByTime(400);
+
+    const button = timed.element.querySelector('button');
+    button.focus();
+    jest.advanceTimersByTime(5000);
+    expect(timed.isVisible()).toBe(true);
+
+    button.blur();
+    jest.advanceTimersByTime(599);
+    expect(timed.isVisible()).toBe(true);
+    jest.advanceTimersByTime(1);
+    await expect(timed.promise).resolves.toBe('timeout');
+
+    const manual = kernel.toast('Manual', { duration: 0 });
+    manual.dismiss();
+    await expect(manual.promise).resolves.toBe('dismissed');
+
+    kernel.destroy();
+  });
+});
+
+// ================================
+// Toast Timer
+// ================================
+
+describe('Toast Timer', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    delete document.visibilityState;
+    jest.useRealTimers();
+  });
+
+  function setVisibility(state) {
+    Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => state });
+    document.dispatchEvent(new Event('visibilitychange'));
+  }
+
+  test('hover 中は止まり、外れたら残り時間だけ待って閉じる', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const handle = kernel.toast('Hover me', { duration: 1000 });
+    jest.advanceTimersByTime(300);
+
+    handle.element.dispatchEvent(new MouseEvent('mouseenter'));
+    expect(handle.element.classList.contains('ny-paused')).toBe(true);
+    jest.advanceTimersByTime(10000);
+    expect(handle.isVisible()).toBe(true);
+
+    handle.element.dispatchEvent(new MouseEvent('mouseleave'));
+    expect(handle.element.classList.contains('ny-paused')).toBe(false);
+    jest.advanceTimersByTime(699);
+    expect(handle.isVisible()).toBe(true);
+    jest.advanceTimersByTime(1);
+    expect(handle.isVisible()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('タブ非表示の間は止まり、hover と重なっても両方外れるまで再開しない', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const handle = kernel.toast('Background', { duration: 1000, progress: true });
+    const bar = handle.element.querySelector('.ny-toast-progress');
+    expect(bar).not.toBeNull();
+    expect(handle.element.style.getPropertyValue('--ny-toast-duration')).toBe('1000ms');
+
+    jest.advanceTimersByTime(500);
+    setVisibility('hidden');
+    handle.element.dispatchEvent(new MouseEvent('mouseenter'));
+    jest.advanceTimersByTime(5000);
+
+    setVisibility('visible');
+    jest.advanceTimersByTime(5000);
+    expect(handle.isVisible()).toBe(true);
+
+    handle.element.dispatchEvent(new MouseEvent('mouseleave'));
+    jest.advanceTimersByTime(500);
+    expect(handle.isVisible()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('visibilitychange は eventManager 経由なので eventManager.clear() で外れる', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    kernel.toast('Pending', { duration: 1000 });
+    const onChange = jest.spyOn(kernel.toastManager, '_handleVisibilityChange');
+    setVisibility('hidden');
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    kernel.eventManager.clear();
+    setVisibility('visible');
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    kernel.destroy();
+  });
+});
+
+describe('Toast Promise', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('loading のまま残り、resolve で同じ要素が success に変わる', async () => {
+    const kernel = createKernel();
+    kernel.init();
+    const onShow = jest.fn();
+    const onHide = jest.fn();
+    kernel.on('toast:show', onShow);
+    kernel.on('toast:hide', onHide);
+
+    let resolve;
+    const task = new Promise((r) => { resolve = r; });
+    const result = kernel.toast.promise(task, {
+      loading: 'Saving...',
+      success: (v) => `Saved ${v}`,
+      error: 'Failed',
+    }, { duration: 1000 });
+    expect(result).toBe(task);
+
+    const el = document.querySelector('.ny-toast');
+    expect(el.getAttribute('aria-busy')).toBe('true');
+    expect(el.classList.contains('ny-toast-info')).toBe(true);
+    jest.advanceTimersByTime(60000);
+    expect(el.isConnected).toBe(true);
+
+    resolve(3);
+    await task;
+    await Promise.resolve();
+
+    expect(document.querySelectorAll('.ny-toast').length).toBe(1);
+    expect(document.querySelector('.ny-toast')).toBe(el);
+    expect(el.textContent).toBe('Saved 3');
+    expect(el.hasAttribute('aria-busy')).toBe(false);
+    expect(el.classList.contains('ny-toast-success')).toBe(true);
+    expect(el.classList.contains('ny-toast-info')).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    jest.runOnlyPendingTimers();
+    expect(onShow).toHaveBeenCalledTimes(1);
+    expect(onHide).toHaveBeenCalledTimes(1);
+    expect(onHide.mock.calls[0][0]).toMatchObject({ type: 'success', reason: 'timeout' });
+
+    kernel.destroy();
+  });
+
+  test('reject で error になり、role が alert に切り替わる', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const task = kernel.toast.promise(() => Promise.reject(new Error('boom')), {
+      loading: 'Loading',
+      success: 'OK',
+      error: (err) => err.message,
+    });
+    await expect(task).rejects.toThrow('boom');
+    await Promise.resolve();
+
+    const el = document.querySelector('.ny-toast');
+    expect(el.textContent).toBe('boom');
+    expect(el.classList.contains('ny-toast-error')).toBe(true);
+    expect(el.getAttribute('role')).toBe('alert');
+
+    kernel.destroy();
+  });
+
+  test('関数が同期で throw しても reject として返り、error の toast になる', async () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    let task;
+    expect(() => {
+      task = kernel.toast.promise(() => { throw new Error('sync boom'); }, {
+        loading: 'Loading',
+        success: 'OK',
+        error: (err) => err.message,
+      });
+    }).not.toThrow();
+    await expect(task).rejects.toThrow('sync boom');
+    await Promise.resolve();
+
+    const el = document.querySelector('.ny-toast');
+    expect(el.textContent).toBe('sync boom');
+    expect(el.classList.contains('ny-toast-error')).toBe(true);
+
+    kernel.destroy();
+  });
+});
+
+describe('Toast Dedupe / Rate Limit', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('同じ dedupeKey は 1 枚にまとまり ×N とタイマー延長、merged が数えられる', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const first = kernel.toast('Network error', { type: 'error', duration: 1000, dedupeKey: 'net' });
+    jest.advanceTimersByTime(800);
+    const second = kernel.toast('Network error', { type: 'error', duration: 1000, dedupeKey: 'net' });
+    const third = kernel.toast('Network error', { type: 'error', duration: 1000, dedupeKey: 'net' });
+
+    expect(second).toBe(first);
+    expect(third).toBe(first);
+    expect(document.querySelectorAll('.ny-toast').length).toBe(1);
+    expect(first.element.querySelector('.ny-toast-count').textContent).toBe('×3');
+    expect(kernel.getState().toastStats).toEqual({ merged: 2, dropped: 0 });
+
+    // 最後にまとめた時点から数え直す
+    jest.advanceTimersByTime(800);
+    expect(first.isVisible()).toBe(true);
+    jest.advanceTimersByTime(200);
+    expect(first.isVisible()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('type ごとの rate limit を超えた分は捨てられ、dropped が数えられる', () => {
+    const kernel = createKernel({
+      toastRateLimit: { max: 5, window: 1000, types: { error: { max: 2 } } },
+    });
+    kernel.init();
+
+    const handles = [];
+    for (let i = 0; i < 4; i++) handles.push(kernel.toast(`E${i}`, { type: 'error' }));
+    expect(handles.filter(Boolean).length).toBe(2);
+    expect(handles[2]).toBeUndefined();
+
+    // 別の type は影響を受けない
+    expect(kernel.toast('info', 'info')).toBeDefined();
+    expect(kernel.getState().toastStats).toEqual({ merged: 0, dropped: 2 });
+
+    // window が過ぎれば再び出せる
+    jest.advanceTimersByTime(1000);
+    expect(kernel.toast('E again', { type: 'error' })).toBeDefined();
+
+    kernel.destroy();
+  });
+
+  test('rate limit はデフォルトでは無効で、何件出しても捨てない', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const handles = [];
+    for (let i = 0; i < 10; i++) handles.push(kernel.toast(`I${i}`, 'info'));
+    expect(handles.every(Boolean)).toBe(true);
+    expect(kernel.toastManager.stats.dropped).toBe(0);
+
+    kernel.destroy();
+  });
+});
+
+describe('Notification Center', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('表示した toast が件数上限つきで残り、update / dedupe も反映される', () => {
+    const kernel = createKernel({ notificationLimit: 3, maxToasts: 5 });
+    kernel.init();
+
+    kernel.toast('A', 'info');
+    const b = kernel.toast('B', { type: 'error', dedupeKey: 'b' });
+    kernel.toast('B', { type: 'error', dedupeKey: 'b' });
+    b.update({ message: 'B (updated)' });
+    kernel.toast('C', 'success');
+    kernel.clearToasts();
+    kernel.toast('D', 'warning');
+
+    const all = kernel.getNotifications();
+    expect(all.map((n) => n.message)).toEqual(['B (updated)', 'C', 'D']);
+    expect(all[0]).toMatchObject({ type: 'error', count: 2, read: false });
+    expect(typeof all[0].timestamp).toBe('number');
+
+    expect(kernel.exportSnapshot().notifications).toHaveLength(3);
+    kernel.destroy();
+  });
+
+  test('notifications() のシートで既読・すべて消去ができ、一覧も描き直される', async () => {
+    const kernel = createKernel({ maxToasts: 5 });
+    kernel.init();
+    const onChange = jest.fn();
+    kernel.on('notifications:change', onChange);
+
+    kernel.toast('First', 'info');
+    kernel.toast('Second', 'error');
+
+    const handle = kernel.notifications({ title: '通知' });
+    await waitFor(10);
+    const sheet = handle.element;
+    expect(sheet.classList.contains('ny-sheet')).toBe(true);
+
+    let items = sheet.querySelectorAll('.ny-notification');
+    expect([...items].map((li) => li.querySelector('.ny-toast-message').textContent))
+      .toEqual(['Second', 'First']);
+    expect(sheet.querySelectorAll('.ny-unread').length).toBe(2);
+
+    // 1 件クリックで既読
+    items[1].click();
+    expect(kernel.getNotifications()[0].read).toBe(true);
+    expect(sheet.querySelectorAll('.ny-unread').length).toBe(1);
+
+    // 開いている間に来た toast も載る
+    kernel.toast('Third', 'success');
+    expect(sheet.querySelectorAll('.ny-notification').length).toBe(3);
+
+    sheet.querySelector('[data-ny-action="mark-read"]').click();
+    expect(sheet.querySelectorAll('.ny-unread').length).toBe(0);
+
+    sheet.querySelector('[data-ny-action="clear"]').click();
+    expect(sheet.querySelectorAll('.ny-notification').length).toBe(0);
+    expect(sheet.querySelector('.ny-notifications-empty').hidden).toBe(false);
+    expect(onChange).toHaveBeenLastCalledWith({ total: 0, unread: 0 });
+
+    kernel.destroy();
+  });
+});
+
+describe('Swipe / Drag Gestures', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function pointer(el, type, x, y = 0) {
+    const e = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: y, button: 0 });
+    Object.defineProperty(e, 'pointerId', { value: 1 });
+    el.dispatchEvent(e);
+  }
+
+  function drag(el, points, stepMs = 50) {
+    pointer(el, 'pointerdown', 0, 0);
+    for (const [x, y] of points) {
+      jest.advanceTimersByTime(stepMs);
+      pointer(el, 'pointermove', x, y);
+    }
+    const [lx, ly] = points[points.length - 1];
+    pointer(el, 'pointerup', lx, ly);
+  }
+
+  function stubSize(el, width, height = width) {
+    Object.defineProperty(el, 'offsetWidth', { configurable: true, value: width });
+    Object.defineProperty(el, 'offsetHeight', { configurable: true, value: height });
+  }
+
+  test('toast: 短いドラッグは戻り、閾値を超える / 速く払うと swipe で閉じる', async () => {
+    const kernel = createKernel({ animations: false, maxToasts: 5 });
+    kernel.init();
+
+    const a = kernel.toast('A', { duration: 1000 });
+    stubSize(a.element, 300);
+
+    // 30px をゆっくり → 戻る（ドラッグ中はタイマーも止まる）
+    pointer(a.element, 'pointerdown', 0);
+    jest.advanceTimersByTime(100);
+    pointer(a.element, 'pointermove', 30);
+    expect(a.element.classList.contains('ny-dragging')).toBe(true);
+    jest.advanceTimersByTime(5000);
+    pointer(a.element, 'pointerup', 30);
+    expect(a.isVisible()).toBe(true);
+    expect(a.element.style.getPropertyValue('--ny-drag-offset')).toBe('');
+
+    // 距離（300 * 0.35）を超える
+    drag(a.element, [[60, 0], [120, 0]]);
+    await expect(a.promise).resolves.toBe('swipe');
+
+    // 距離は足りなくても速ければ閉じる（左向きも可）
+    const b = kernel.toast('B', { duration: 1000 });
+    stubSize(b.element, 300);
+    drag(b.element, [[-20, 0], [-50, 0]], 10);
+    await expect(b.promise).resolves.toBe('swipe');
+
+    kernel.destroy();
+  });
+
+  test('sheet: 出てきた端へ引くと LayerManager 経由で閉じ、逆向きはゴムで頭打ち', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+    const onClose = jest.fn();
+    const onBeforeClose = jest.fn(() => true);
+
+    const handle = kernel.sheet({ content: 'Right', onClose, onBeforeClose });
+    const sheet = handle.element;
+    stubSize(sheet, 400);
+
+    // 閉じない向き（左）に 200px 引いても RUBBER_BAND まで
+    pointer(sheet, 'pointerdown', 0);
+    jest.advanceTimersByTime(50);
+    pointer(sheet, 'pointermove', -200);
+    const offset = parseFloat(sheet.style.getPropertyValue('--ny-drag-offset'));
+    expect(offset).toBeLessThan(0);
+    expect(offset).toBeGreaterThanOrEqual(-48);
+    pointer(sheet, 'pointerup', -200);
+    expect(handle.isOpen()).toBe(true);
+
+    drag(sheet, [[100, 0], [200, 0]]);
+    return handle.closed.then(() => {
+      expect(onBeforeClose.mock.calls[0][0].reason).toBe('swipe');
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(kernel.hasActiveLayer()).toBe(false);
+      kernel.destroy();
+    });
+  });
+
+  test('sheet: onBeforeClose が拒否したら元の位置に戻る / gestures: false で無効', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const handle = kernel.sheet({ content: 'Bottom', from: 'bottom', onBeforeClose: () => false });
+    const sheet = handle.element;
+    stubSize(sheet, 400, 300);
+
+    drag(sheet, [[0, 100], [0, 200]]);
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(handle.isOpen()).toBe(true);
+    expect(sheet.style.getPropertyValue('--ny-drag-offset')).toBe('');
+    kernel.destroy();
+
+    const off = createKernel({ animations: false, gestures: false });
+    off.init();
+    const toast = off.toast('No swipe', { duration: 0 });
+    stubSize(toast.element, 300);
+    drag(toast.element, [[200, 0]]);
+    expect(toast.isVisible()).toBe(true);
+    off.destroy();
+  });
+});
+
+describe('Bottom Sheet Snap Points', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  function pointer(el, type, y) {
+    const e = new MouseEvent(type, { bubbles: true, cancelable: true, clientX: 0, clientY: y, button: 0 });
+    Object.defineProperty(e, 'pointerId', { value: 1 });
+    el.dispatchEvent(e);
+  }
+
+  function drag(el, ys, stepMs) {
+    pointer(el, 'pointerdown', 0);
+    for (const y of ys) {
+      jest.advanceTimersByTime(stepMs);
+      pointer(el, 'pointermove', y);
+    }
+    pointer(el, 'pointerup', ys[ys.length - 1]);
+  }
+
+  const offsetOf = (el) => parseFloat(el.style.getPropertyValue('--ny-snap-offset'));
+
+  test('snapTo / ハンドルで高さが変わり、sheet:snap と onSnap が出る', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+    const onSnap = jest.fn();
+    const onEvent = jest.fn();
+    kernel.on('sheet:snap', onEvent);
+
+    const handle = kernel.sheet({
+      from: 'bottom',
+      content: 'Filters',
+      snapPoints: ['100%', '25%', '60%'],
+      onSnap,
+    });
+    const sheet = handle.element;
+    const vh = window.innerHeight;
+
+    // 小さい順に並べ直し、高さは一番大きい snap
+    expect(sheet.style.height).toBe(`${vh}px`);
+    expect(offsetOf(sheet)).toBeCloseTo(vh * 0.75);
+    expect(sheet.getAttribute('data-ny-snap')).toBe('0');
+
+    handle.snapTo(2);
+    expect(offsetOf(sheet)).toBe(0);
+    expect(sheet.classList.contains('ny-expanded')).toBe(true);
+    expect(onSnap).toHaveBeenLastCalledWith(2, '100%');
+    expect(onEvent).toHaveBeenLastCalledWith({ id: handle.id, index: 2, point: '100%' });
+
+    // ハンドルのクリックは次へ（最後なら最初へ）、矢印キーで 1 段
+    const grip = sheet.querySelector('.ny-sheet-handle');
+    grip.click();
+    expect(onSnap).toHaveBeenLastCalledWith(0, '25%');
+    grip.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', bubbles: true }));
+    expect(onSnap).toHaveBeenLastCalledWith(1, '60%');
+    expect(grip.getAttribute('aria-expanded')).toBe('false');
+
+    // update() しても中身だけ差し替わりハンドルは残る
+    handle.update({ content: 'Updated' });
+    expect(sheet.querySelector('.ny-sheet-handle')).toBe(grip);
+    expect(sheet.querySelector('.ny-sheet-content').textContent).toBe('Updated');
+
+    kernel.destroy();
+  });
+
+  test('ドラッグ: ゆっくりなら近い snap、速く払えば 1 段、一番下で払うと閉じる', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+    const onClose = jest.fn();
+
+    const handle = kernel.sheet({ from: 'bottom', snapPoints: ['25%', '60%', '100%'], onClose });
+    const sheet = handle.element;
+
+    // 25% から 250px ゆっくり上げる → 60% が一番近い
+    drag(sheet, [-100, -200, -250], 200);
+    expect(handle.element.getAttribute('data-ny-snap')).toBe('1');
+
+    // 下へ速く払う → 1 段下
+    drag(sheet, [20, 60], 10);
+    expect(handle.element.getAttribute('data-ny-snap')).toBe('0');
+
+    // 一番下でさらに払う → LayerManager 経由で閉じる
+    drag(sheet, [20, 60], 10);
+    await handle.closed;
+    expect(onClose).toHaveBeenCalledTimes(1);
+
+    kernel.destroy();
+  });
+
+  test('全開でない間はドラッグ優先、全開で中身がスクロール済みならスクロールに譲る', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const list = document.createElement('div');
+    const handle = kernel.sheet({ from: 'bottom', snapPoints: ['50%', '100%'], content: list });
+    const sheet = handle.element;
+    const content = sheet.querySelector('.ny-sheet-content');
+
+    handle.snapTo(1);
+    Object.defineProperty(content, 'scrollTop', { configurable: true, value: 40 });
+
+    pointer(content, 'pointerdown', 0);
+    jest.advanceTimersByTime(50);
+    pointer(content, 'pointermove', 30);
+    expect(sheet.classList.contains('ny-dragging')).toBe(false);
+    pointer(content, 'pointerup', 30);
+
+    // ハンドルからならいつでも掴める
+    const grip = sheet.querySelector('.ny-sheet-handle');
+    pointer(grip, 'pointerdown', 0);
+    jest.advanceTimersByTime(50);
+    pointer(grip, 'pointermove', 30);
+    expect(sheet.classList.contains('ny-dragging')).toBe(true);
+    pointer(grip, 'pointerup', 30);
+
+    kernel.destroy();
+  });
+
+  test('有効な snap が 1 つも無ければ全開 1 段として扱う', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const handle = kernel.sheet({ from: 'bottom', snapPoints: ['abc', null, 'px'], content: 'x' });
+    const sheet = handle.element;
+    expect(sheet.style.height).toBe(`${window.innerHeight}px`);
+    expect(sheet.getAttribute('data-ny-snap')).toBe('0');
+    expect(sheet.classList.contains('ny-expanded')).toBe(true);
+
+    handle.snapTo(3);
+    expect(sheet.getAttribute('data-ny-snap')).toBe('0');
+    expect(offsetOf(sheet)).toBe(0);
+
+    kernel.destroy();
+  });
+
+  test('resize リスナーは eventManager 経由なので kernel.destroy() で外れる', () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const handle = kernel.sheet({ from: 'bottom', snapPoints: ['50%', '100%'], content: 'x' });
+    const sheet = handle.element;
+    sheet.style.height = '';
+    window.dispatchEvent(new Event('resize'));
+    expect(sheet.style.height).not.toBe('');
+
+    kernel.destroy();
+    sheet.style.height = '';
+    window.dispatchEvent(new Event('resize'));
+    expect(sheet.style.height).toBe('');
+  });
+});
+
+describe('Progress Loader', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('setProgress / setText で progressbar が更新され、Cancel で signal が abort される', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+    const onCancel = jest.fn();
+    const onEvent = jest.fn();
+    kernel.on('loader:cancel', onEvent);
+
+    const loader = kernel.loader({ text: 'Exporting...', progress: 0, cancelable: true, onCancel });
+    const bar = loader.element.querySelector('[role="progressbar"]');
+    expect(bar.getAttribute('aria-valuenow')).toBe('0');
+    expect(bar.getAttribute('aria-labelledby')).toBe(
+      loader.element.querySelector('.ny-loader-text').id,
+    );
+    expect(loader.element.querySelector('.ny-spinner').hidden).toBe(true);
+
+    loader.setProgress(0.425).setText('Exporting 3/7');
+    expect(bar.getAttribute('aria-valuenow')).toBe('43');
+    expect(loader.element.querySelector('.ny-loader-text').textContent).toBe('Exporting 3/7');
+
+    loader.setProgress(2);
+    expect(bar.getAttribute('aria-valuenow')).toBe('100');
+
+    loader.element.querySelector('.ny-loader-cancel').click();
+    await loader.closed;
+    expect(loader.signal.aborted).toBe(true);
+    expect(loader.isCancelled()).toBe(true);
+    expect(onCancel).toHaveBeenCalledWith('cancel');
+    expect(onEvent).toHaveBeenCalledWith({ id: loader.id, reason: 'cancel' });
+    expect(kernel.hasActiveLayer()).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('close() は abort しない / キャンセル不可は Escape で閉じず、可なら Escape でキャンセル', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const done = kernel.loader({ text: 'Uploading' });
+    expect(done.element.querySelector('[role="progressbar"]')).toBeNull();
+    triggerKeydown('Escape');
+    expect(done.isOpen()).toBe(true);
+
+    done.close();
+    await done.closed;
+    expect(done.signal.aborted).toBe(false);
+
+    const cancelable = kernel.loader({ cancelable: true });
+    triggerKeydown('Escape');
+    await cancelable.closed;
+    expect(cancelable.signal.aborted).toBe(true);
+
+    kernel.destroy();
+  });
+
+  test('dialog のスタックには積まず、dialog イベントも出さず、開いている dialog を閉じない', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+    const onDialogOpen = jest.fn();
+    const onDialogClose = jest.fn();
+    kernel.on('dialog:open', onDialogOpen);
+    kernel.on('dialog:close', onDialogClose);
+
+    const dialog = kernel.dialog({ content: 'Editor' });
+    onDialogOpen.mockClear();
+
+    const job = kernel.loader({ text: 'Saving', progress: 0 });
+    expect(job.element.closest('.ny-loader-slot')).toBeTruthy();
+    expect(kernel.getLayers()).toHaveLength(1);
+    expect(onDialogOpen).not.toHaveBeenCalled();
+
+    // キャンセル不可の間は Escape を枠が受け止め、下の dialog も閉じない
+    triggerKeydown('Escape');
+    expect(job.isOpen()).toBe(true);
+    expect(dialog.isOpen()).toBe(true);
+
+    job.close();
+    await job.closed;
+    expect(job.element.isConnected).toBe(false);
+    expect(onDialogClose).not.toHaveBeenCalled();
+    expect(dialog.isOpen()).toBe(true);
+
+    kernel.destroy();
+  });
+});
+
+
+describe('Loader Track', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const flush = async () => {
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+
+  test('並行する track は最後の 1 つが終わったときだけ隠れる', async () => {
+    const kernel = createKernel({ loaderDelay: 200, loaderMinDuration: 500 });
+    kernel.init();
+
+    let resolveA;
+    let resolveB;
+    const a = kernel.loader.track(new Promise((r) => { resolveA = r; }), { text: 'Saving' });
+    kernel.loader.track(() => new Promise((r) => { resolveB = r; }));
+    expect(kernel.isLoading()).toBe(true);
+    expect(document.querySelector('.ny-loader-slot')).toBeNull();
+
+    jest.advanceTimersByTime(200);
+    const slot = document.querySelector('.ny-loader-slot');
+    expect(slot).toBeTruthy();
+    expect(slot.querySelector('.ny-loader-text').textContent).toBe('Saving');
+
+    resolveA('ok');
+    await expect(a).resolves.toBe('ok');
+    await flush();
+    jest.advanceTimersByTime(1000);
+    expect(slot.isConnected).toBe(true);
+
+    resolveB();
+    await flush();
+    expect(kernel.isLoading()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(slot.isConnected).toBe(false);
+
+    kernel.destroy();
+  });
+
+  test('delay より早く終われば出さず、出したら minDuration は残る', async () => {
+    const kernel = createKernel({ loaderDelay: 200, loaderMinDuration: 500 });
+    kernel.init();
+    const onShow = jest.fn();
+    kernel.on('loader:show', onShow);
+
+    let resolve;
+    kernel.loader.track(new Promise((r) => { resolve = r; }));
+    jest.advanceTimersByTime(150);
+    resolve();
+    await flush();
+    jest.advanceTimersByTime(1000);
+    expect(onShow).not.toHaveBeenCalled();
+
+    kernel.loader.track(new Promise((r) => { resolve = r; }));
+    jest.advanceTimersByTime(250);
+    expect(onShow).toHaveBeenCalledTimes(1);
+    resolve();
+    await flush();
+    jest.advanceTimersByTime(400);
+    expect(document.querySelector('.ny-loader-slot')).toBeTruthy();
+    jest.advanceTimersByTime(100);
+    expect(document.querySelector('.ny-loader-slot')).toBeNull();
+
+    kernel.destroy();
+  });
+
+  test('loader(true) / loader(false) は開いている dialog を閉じない', () => {
+    const kernel = createKernel({ loaderMinDuration: 0 });
+    kernel.init();
+
+    kernel.dialog({ title: 'Edit', content: 'Content' });
+    kernel.loader(true, 'Working...');
+    expect(document.querySelector('.ny-loader-slot')).toBeTruthy();
+    expect(kernel.getLayers().length).toBe(1);
+
+    kernel.loader(false);
+    expect(document.querySelector('.ny-loader-slot')).toBeNull();
+    expect(kernel.hasActiveLayer()).toBe(true);
+
+    kernel.destroy();
+  });
+
+  test('init() が throw しても track は同期で throw せず reject を返す', async () => {
+    const kernel = createKernel();
+    const error = new Error('init failed');
+    jest.spyOn(kernel, 'init').mockImplementation(() => { throw error; });
+
+    let result;
+    expect(() => { result = kernel.loader.track(Promise.resolve('ok')); }).not.toThrow();
+    await expect(result).rejects.toBe(error);
+  });
+});
+
+
+describe('Scoped Busy', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('要素にだけスピナーを被せ、aria-busy を付けてクリックを止める', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const panel = document.createElement('section');
+    const button = document.createElement('button');
+    const onClick = jest.fn();
+    button.addEventListener('click', onClick);
+    panel.appendChild(button);
+    document.body.appendChild(panel);
+
+    const release = kernel.busy(panel, { text: 'Loading sales...' });
+    expect(panel.getAttribute('aria-busy')).toBe('true');
+    expect(panel.style.position).toBe('relative');
+    expect(panel.querySelector('.ny-busy-overlay .ny-loader .ny-spinner')).toBeTruthy();
+    expect(panel.querySelector('.ny-loader-text').textContent).toBe('Loading sales...');
+    expect(document.querySelector('.ny-overlay.ny-visible')).toBeNull();
+    expect(document.querySelector('.ny-loader-slot')).toBeNull();
+    expect(kernel.isLoading()).toBe(false);
+
+    button.click();
+    expect(onClick).not.toHaveBeenCalled();
+
+    release();
+    expect(panel.hasAttribute('aria-busy')).toBe(false);
+    expect(panel.style.position).toBe('');
+    expect(panel.querySelector('.ny-busy-overlay')).toBeNull();
+    button.click();
+    expect(onClick).toHaveBeenCalledTimes(1);
+
+    kernel.destroy();
+  });
+
+  test('同じ要素は参照カウント、別の要素は独立して外れる', () => {
+    const kernel = createKernel();
+    kernel.init();
+
+    const a = document.createElement('div');
+    const b = document.createElement('div');
+    document.body.append(a, b);
+
+    const releaseA1 = kernel.busy(a);
+    const releaseA2 = kernel.busy(a, { text: 'Still loading' });
+    const releaseB = kernel.busy(b);
+    expect(a.querySelectorAll('.ny-busy-overlay').length).toBe(1);
+    expect(a.querySelector('.ny-loader-text').textContent).toBe('Still loading');
+    expect(document.querySelectorAll('#ny-loader').length).toBe(0);
+
+    releaseB();
+    expect(kernel.isBusy(b)).toBe(false);
+    expect(kernel.isBusy(a)).toBe(true);
+
+    releaseA1();
+    releaseA1();
+    expect(kernel.isBusy(a)).toBe(true);
+    releaseA2();
+    expect(kernel.isBusy(a)).toBe(false);
+
+    kernel.busy(a);
+    kernel.destroy();
+    expect(a.querySelector('.ny-busy-overlay')).toBeNull();
+  });
+});
+
+
+describe('Prompt', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const findButton = (text) =>
+    Array.from(document.querySelectorAll('button')).find((b) => b.textContent === text);
+
+  test('ラベル付き input にフォーカスし、Enter で入力値、Cancel / Escape で null', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    let promise = kernel.prompt({ title: 'Rename', label: 'File name', defaultValue: 'report.txt' });
+    const input = document.querySelector('.ny-prompt-input');
+    expect(document.activeElement).toBe(input);
+    expect(input.value).toBe('report.txt');
+    expect(document.getElementById(input.getAttribute('aria-labelledby')).textContent).toBe('File name');
+    expect(document.querySelector(`label[for="${input.id}"]`)).toBeTruthy();
+    expect(kernel.checkA11y().filter((i) => i.type === 'missing-label')).toHaveLength(0);
+
+    input.value = 'summary.txt';
+    triggerKeydown('Enter', input);
+    await expect(promise).resolves.toBe('summary.txt');
+
+    promise = kernel.prompt({ label: 'Name' });
+    findButton('Cancel').click();
+    await expect(promise).resolves.toBeNull();
+
+    promise = kernel.prompt({ label: 'Name' });
+    triggerKeydown('Escape');
+    await expect(promise).resolves.toBeNull();
+
+    kernel.destroy();
+  });
+
+  test('validate のエラーは aria-invalid / aria-describedby で示し、Promise なら pending になる', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    let resolveCheck;
+    const validate = jest.fn((value) => {
+      if (!value) return 'Required';
+      return new Promise((r) => { resolveCheck = r; });
+    });
+    const promise = kernel.prompt({ label: 'Username', validate });
+    const input = document.querySelector('.ny-prompt-input');
+    const ok = findButton('OK');
+
+    ok.click();
+    await Promise.resolve();
+    const error = document.getElementById(input.getAttribute('aria-describedby'));
+    expect(input.getAttribute('aria-invalid')).toBe('true');
+    expect(error.textContent).toBe('Required');
+    expect(kernel.hasActiveLayer()).toBe(true);
+
+    input.value = 'taken';
+    input.dispatchEvent(new Event('input'));
+    expect(input.hasAttribute('aria-invalid')).toBe(false);
+    expect(input.hasAttribute('aria-describedby')).toBe(false);
+
+    ok.click();
+    expect(input.closest('.ny-prompt-field').classList.contains('ny-pending')).toBe(true);
+    expect(ok.disabled).toBe(true);
+    expect(input.readOnly).toBe(true);
+    resolveCheck('Already taken');
+    await waitFor(0);
+    expect(ok.disabled).toBe(false);
+    expect(error.textContent).toBe('Already taken');
+
+    input.value = 'nyamo';
+    triggerKeydown('Enter', input);
+    resolveCheck(true);
+    await expect(promise).resolves.toBe('nyamo');
+    expect(validate).toHaveBeenCalledTimes(3);
+
+    kernel.destroy();
+  });
+});
+
+
+describe('Form', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const findButton = (text) =>
+    Array.from(document.querySelectorAll('button')).find((b) => b.textContent === text);
+
+  const fieldOf = (name) => document.querySelector(`[data-ny-field="${name}"]`);
+
+  test('スキーマから組み立て、必須が埋まるまで送信できず、値のオブジェクトで resolve', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const promise = kernel.form({
+      title: 'New project',
+      fields: [
+        { name: 'name', label: '<img src=x onerror=alert(1)>', required: true },
+        { name: 'budget', type: 'number', defaultValue: 100 },
+        { name: 'plan', type: 'select', options: ['free', { value: 'pro', label: 'Pro' }], defaultValue: 'free' },
+        { name: 'public', type: 'checkbox', label: 'Public' },
+        { name: 'size', type: 'radio', options: ['s', 'm'], required: true },
+        { name: 'notes', type: 'textarea' },
+        { name: 'due', type: 'date', defaultValue: '2026-01-31' },
+      ],
+    });
+
+    const submit = findButton('Submit');
+    const name = fieldOf('name').querySelector('input');
+    expect(document.activeElement).toBe(name);
+    expect(fieldOf('name').querySelector('img')).toBeNull();
+    expect(fieldOf('name').querySelector('.ny-form-label').textContent).toBe('<img src=x onerror=alert(1)>*');
+    expect(fieldOf('name').querySelector('.ny-form-required').getAttribute('aria-hidden')).toBe('true');
+    expect(fieldOf('size').querySelector('fieldset legend')).toBeTruthy();
+    expect(kernel.checkA11y().filter((i) => i.type === 'missing-label')).toHaveLength(0);
+    expect(submit.disabled).toBe(true);
+
+    name.value = 'Nyamo';
+    name.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(submit.disabled).toBe(true);
+    fieldOf('size').querySelector('input[value="m"]').click();
+    expect(submit.disabled).toBe(false);
+    fieldOf('public').querySelector('input').click();
+
+    submit.click();
+    await expect(promise).resolves.toEqual({
+      name: 'Nyamo',
+      budget: 100,
+      plan: 'free',
+      public: true,
+      size: 'm',
+      notes: '',
+      due: '2026-01-31',
+    });
+
+    kernel.destroy();
+  });
+
+  test('フィールド / フォーム全体の validate を aria-invalid で示し、Cancel で null', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    let promise = kernel.form({
+      fields: [
+        { name: 'password', validate: (v) => (v.length >= 8 ? null : 'Too short') },
+        { name: 'confirm' },
+      ],
+      validate: (values) =>
+        values.password === values.confirm ? null : { confirm: 'Does not match' },
+    });
+    const password = fieldOf('password').querySelector('input');
+    const confirmInput = fieldOf('confirm').querySelector('input');
+
+    password.value = 'short';
+    password.dispatchEvent(new Event('change', { bubbles: true }));
+    const error = document.getElementById(password.getAttribute('aria-describedby'));
+    expect(password.getAttribute('aria-invalid')).toBe('true');
+    expect(error.textContent).toBe('Too short');
+    // confirm はまだ触っていないのでエラーは出さない
+    expect(confirmInput.hasAttribute('aria-invalid')).toBe(false);
+    expect(findButton('Submit').disabled).toBe(true);
+
+    password.value = 'long enough';
+    password.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(password.hasAttribute('aria-invalid')).toBe(false);
+
+    // Enter で送ろうとすると、触っていないフィールドのエラーも出してフォーカスを移す
+    triggerKeydown('Enter', password);
+    expect(confirmInput.getAttribute('aria-invalid')).toBe('true');
+    expect(document.activeElement).toBe(confirmInput);
+
+    findButton('Cancel').click();
+    await expect(promise).resolves.toBeNull();
+
+    promise = kernel.form({
+      fields: [{ name: 'a' }],
+      validate: (values) => (values.a === 'x' ? 'Not allowed' : null),
+    });
+    const a = fieldOf('a').querySelector('input');
+    a.value = 'x';
+    a.dispatchEvent(new Event('change', { bubbles: true }));
+    const message = document.querySelector('.ny-form-message');
+    expect(message.hidden).toBe(false);
+    expect(message.textContent).toBe('Not allowed');
+
+    a.value = 'y';
+    triggerKeydown('Enter', a);
+    await expect(promise).resolves.toEqual({ a: 'y' });
+
+    kernel.destroy();
+  });
+
+  test('throw した validator は不正扱いになり、送信できない', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    let formThrows = false;
+    const promise = kernel.form({
+      fields: [
+        {
+          name: 'code',
+          validate: (v) => {
+            if (v === 'boom') throw new Error('validator bug');
+            return null;
+          },
+        },
+      ],
+      validate: () => {
+        if (formThrows) throw new Error('form validator bug');
+        return null;
+      },
+      invalidMessage: 'Could not validate',
+    });
+    const code = fieldOf('code').querySelector('input');
+    const submit = findButton('Submit');
+
+    code.value = 'boom';
+    code.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(code.getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById(code.getAttribute('aria-describedby')).textContent).toBe('Could not validate');
+    expect(submit.disabled).toBe(true);
+    triggerKeydown('Enter', code);
+    expect(kernel.hasActiveLayer()).toBe(true);
+
+    code.value = 'ok';
+    formThrows = true;
+    code.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(code.hasAttribute('aria-invalid')).toBe(false);
+    expect(document.querySelector('.ny-form-message').textContent).toBe('Could not validate');
+    expect(submit.disabled).toBe(true);
+
+    formThrows = false;
+    code.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(submit.disabled).toBe(false);
+    submit.click();
+    await expect(promise).resolves.toEqual({ code: 'ok' });
+
+    kernel.destroy();
+  });
+});
+
+
+describe('Wizard', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  const findButton = (action) => document.querySelector(`.ny-wizard [data-ny-action="${action}"]`);
+  const heading = () => document.querySelector('.ny-wizard-heading');
+
+  test('Back / Next でステップを移り、戻っても入力が残り、Finish で data を resolve', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    const buildAccount = jest.fn(({ setData }) => {
+      const input = document.createElement('input');
+      input.setAttribute('aria-label', 'Email');
+      input.addEventListener('input', () => setData({ email: input.value }));
+      return input;
+    });
+    const promise = kernel.wizard({
+      title: 'Onboarding',
+      data: { plan: 'free' },
+      steps: [
+        { title: 'Account', content: buildAccount },
+        { title: 'Confirm', content: ({ data }) => `Email: ${data.email}` },
+      ],
+    });
+    await waitFor(0);
+
+    expect(document.activeElement).toBe(heading());
+    expect(heading().textContent).toBe('Account');
+    expect(findButton('back').hidden).toBe(true);
+    const items = document.querySelectorAll('.ny-wizard-indicator');
+    expect(items[0].getAttribute('aria-current')).toBe('step');
+
+    const input = document.querySelector('.ny-wizard-step-body input');
+    input.value = 'a@example.com';
+    input.dispatchEvent(new Event('input'));
+
+    findButton('next').click();
+    await waitFor(0);
+    expect(heading().textContent).toBe('Confirm');
+    expect(document.activeElement).toBe(heading());
+    expect(document.querySelector('.ny-wizard-step-body').textContent).toBe('Email: a@example.com');
+    expect(items[0].classList.contains('ny-done')).toBe(true);
+    expect(items[1].getAttribute('aria-current')).toBe('step');
+    expect(findButton('next').textContent).toBe('Finish');
+
+    findButton('back').click();
+    await waitFor(0);
+    expect(document.activeElement).toBe(heading());
+    expect(document.querySelector('.ny-wizard-step-body input')).toBe(input);
+    expect(input.value).toBe('a@example.com');
+    expect(buildAccount).toHaveBeenCalledTimes(1);
+
+    findButton('next').click();
+    await waitFor(0);
+    findButton('next').click();
+    await expect(promise).resolves.toEqual({ plan: 'free', email: 'a@example.com' });
+
+    kernel.destroy();
+  });
+
+  test('validate のエラーと onStepLeave の false で進まず、Cancel で null', async () => {
+    const kernel = createKernel({ animations: false });
+    kernel.init();
+
+    let ctx;
+    let allowLeave = false;
+    const onStepLeave = jest.fn(async () => allowLeave);
+    const promise = kernel.wizard({
+      steps: [
+        {
+          title: 'Upload',
+          content: (c) => { ctx = c; },
+          validate: (data) => (data.file ? null : 'Choose a file'),
+        },
+        { title: 'Map columns' },
+      ],
+      onStepLeave,
+    });
+    await waitFor(0);
+
+    findButton('next').click();
+    await waitFor(0);
+    const error = document.querySelector('.ny-wizard-error');
+    expect(error.hidden).toBe(false);
+    expect(error.textContent).toBe('Choose a file');
+    expect(document.activeElement).toBe(heading());
+    expect(onStepLeave).not.toHaveBeenCalled();
+
+    ctx.setData({ file: 'users.csv' });
+    findButton('next').click();
+    await waitFor(0);
+    expect(error.hidden).toBe(true);
+    expect(onStepLeave).toHaveBeenCalledWith({
+      index: 0,
+      to: 1,
+      direction: 'next',
+      data: { file: 'users.csv' },
+    });
+    expect(heading().textContent).toBe('Upload');
+
+    allowLeave = true;
+    findButton('next').click();
+    await waitFor(0);
+    expect(heading().textContent).toBe('Map columns');
+
+    findButton('cancel').click();
+    await expect(promise).resolves.toBeNull();
+
+    kernel.destroy();
+  });
+
+  test('a11yChecks が有効なら prompt / form と同じく dialog を検査する', async () => {
+    const kernel = createKernel({ animations: false, a11yChecks: true });
+    kernel.init();
+    const check = jest.spyOn(kernel.a11yChecker, 'check');
+
+    const promise = kernel.wizard({ title: 'Setup', steps: [{ title: 'Only', content: 'Done' }] });
+    await waitFor(0);
+    expect(check).toHaveBeenCalledWith(document.querySelector('.ny-wizard'));
+
+    findButton('cancel').click();
+    await expect(promise).resolves.toBeNull();
+
+    kernel.destroy();
+  });
+});